@@ -1,42 +1,232 @@
+const APP_VERSION = '1.1.0';
+
 // ===== Database Setup with Dexie =====
-const db = new Dexie('ZenSpendDB');
-db.version(1).stores({
-    expenses: '++id, amount, category, description, isWant, date, month',
-    parking: '++id, amount, category, description, parkDate, expiryDate',
-    settings: 'key, value'
-});
+// Tables whose records carry a stable `uid` and an `updatedAt` stamp.
+// Recurring rules come first so expenses can be re-linked to them on merge.
+const recordTables = ['categories', 'recurring', 'goals', 'expenses', 'income', 'parking', 'taxLedger', 'parkingDecisions', 'closes', 'settlements'];
+
+// Everything that goes into a backup, in restore order
+const dataTables = [...recordTables, 'settings'];
+
+function generateUid() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Profiles are listed in localStorage so the right database opens before anything loads.
+// The original database is the default profile, so existing data needs no moving.
+const PROFILES_STORAGE_KEY = 'zenspend-profiles';
+const defaultProfile = { id: 'default', name: 'Personal', icon: '👤', dbName: 'ZenSpendDB' };
+
+// Schema history, oldest first. A shipped entry must never change: add a new
+// version with the new `stores` and an `upgrade` that brings old records along.
+// Dexie runs every upgrade between the stored version and the newest in order.
+const migrations = [
+    {
+        version: 1,
+        stores: {
+            expenses: '++id, amount, category, description, isWant, date, month',
+            parking: '++id, amount, category, description, parkDate, expiryDate',
+            settings: 'key, value'
+        }
+    },
+    {
+        version: 2,
+        stores: { recurring: '++id, category, frequency, nextDate' }
+    },
+    {
+        version: 3,
+        stores: {
+            expenses: '++id, &uid, amount, category, description, isWant, date, month',
+            parking: '++id, &uid, amount, category, description, parkDate, expiryDate',
+            recurring: '++id, &uid, category, frequency, nextDate'
+        },
+        // Stable ids and change stamps for merging backups
+        upgrade: tx => {
+            const now = new Date().toISOString();
+            return Promise.all(['expenses', 'parking', 'recurring'].map(table =>
+                tx.table(table).toCollection().modify(record => {
+                    record.uid = generateUid();
+                    record.updatedAt = record.date || record.parkDate || record.startDate || now;
+                })
+            ));
+        }
+    },
+    {
+        version: 4,
+        stores: { categories: '++id, &uid, &name, archived, order' }
+    },
+    {
+        version: 5,
+        stores: {
+            taxLedger: '++id, &uid, type, expenseUid, goalUid, date',
+            goals: '++id, &uid'
+        },
+        // The single `impulseTax` total becomes per-expense ledger entries
+        upgrade: async tx => {
+            const legacy = await tx.table('settings').get('impulseTax');
+            await seedTaxLedger(tx.table('expenses'), tx.table('taxLedger'), legacy?.value || 0);
+            await tx.table('settings').delete('impulseTax');
+        }
+    },
+    {
+        version: 6,
+        stores: { parkingDecisions: '++id, &uid, outcome, decidedAt' }
+    },
+    {
+        version: 7,
+        stores: { tombstones: '&key, deletedAt' }
+    },
+    {
+        version: 8,
+        stores: { income: '++id, &uid, source, date, month' }
+    },
+    {
+        version: 9,
+        stores: { closes: '++id, &uid, &month, end' }
+    },
+    {
+        version: 10,
+        stores: { settlements: '++id, &uid, person, date' }
+    },
+    {
+        version: 11,
+        // After a cycle change the same key can name another period, so a key
+        // may hold closes from more than one cycle
+        stores: { closes: '++id, &uid, month, start, end' }
+    }
+];
+
+// Every profile keeps its books in a database of its own
+function openDatabase(name) {
+    const db = new Dexie(name);
+    migrations.forEach(({ version, stores, upgrade }) => {
+        const schema = db.version(version).stores(stores);
+        if (upgrade) schema.upgrade(upgrade);
+    });
+    
+    // Stamp every write so backups from other devices can be reconciled
+    [...recordTables, 'settings'].forEach(table => {
+        db.table(table).hook('creating', (primKey, obj) => {
+            if (table !== 'settings' && !obj.uid) obj.uid = generateUid();
+            if (!obj.updatedAt) obj.updatedAt = new Date().toISOString();
+            if (table === 'expenses' && !obj.loggedBy && !state.applyingRemote && state.sync?.member) {
+                obj.loggedBy = state.sync.member;
+            }
+        });
+        db.table(table).hook('updating', (mods) => {
+            // A `put` over an existing record reports its missing stamp as `undefined`
+            if (mods.updatedAt === undefined) return { updatedAt: new Date().toISOString() };
+        });
+    });
+    
+    // Remember deletions so household sync can pass them on
+    recordTables.forEach(table => {
+        db.table(table).hook('deleting', (primKey, obj, transaction) => {
+            if (!isSyncConfigured() || state.applyingRemote || state.wipingTable || !obj?.uid) return;
+            const deletedAt = new Date().toISOString();
+            transaction.on('complete', () => {
+                db.tombstones.put({ key: `${table}:${obj.uid}`, table, uid: obj.uid, deletedAt });
+            });
+        });
+    });
+    
+    return db;
+}
+
+let db = openDatabase(getActiveProfile().dbName);
 
 // ===== App State =====
 const state = {
     budget: 0,
-    impulseTax: 0,
+    categoryBudgets: {},
+    homeCurrency: 'INR',
+    exchangeRates: {},
+    taxRule: null,
+    notifications: null,
+    sync: null,
+    syncing: false,
+    applyingRemote: false,
+    wipingTable: false,
     mascotState: 'zen',
     holdTimeout: null,
     holdProgress: 0,
     isHolding: false,
+    holdSeconds: 0,
+    frictionRules: [],
+    referencePrices: null,
+    earnings: null,
+    hourlyRate: 0,
+    budgetCycle: null,
+    closePolicy: null,
     pendingExpense: null,
-    charts: { pie: null, bar: null }
+    editingId: null,
+    viewMonth: null,
+    csvImport: null,
+    pendingImport: null,
+    categories: [],
+    analyticsRange: '6',
+    topMerchants: [],
+    charts: { pie: null, bar: null, forecast: null, trend: null, weekday: null }
 };
 
-// ===== Category Icons =====
-const categoryIcons = {
-    'Food': '🍕',
-    'Travel': '🚗',
-    'Fees/Bills': '📄',
-    'Home': '🏠',
-    'Groceries': '🛒',
-    'Shopping': '🛍️',
-    'Gifting': '🎁',
-    'Entertainment': '🎬'
+// ===== Default Categories =====
+// Seeded into the `categories` table on first run; users manage them from there.
+// `keywords` drive category suggestions when importing statements.
+const defaultCategories = [
+    { name: 'Food', icon: '🍕', color: '#7fb069', isWant: false,
+        keywords: ['swiggy', 'zomato', 'restaurant', 'cafe', 'coffee', 'pizza', 'burger', 'dominos', 'kfc', 'mcdonald', 'starbucks'] },
+    { name: 'Travel', icon: '🚗', color: '#e07a5f', isWant: false,
+        keywords: ['uber', 'ola', 'rapido', 'irctc', 'metro', 'fuel', 'petrol', 'indigo', 'makemytrip', 'redbus', 'fastag'] },
+    { name: 'Fees/Bills', icon: '📄', color: '#134e5e', isWant: false,
+        keywords: ['electricity', 'bill', 'recharge', 'airtel', 'jio', 'insurance', 'emi', 'broadband', 'gas', 'fee'] },
+    { name: 'Home', icon: '🏠', color: '#ffce56', isWant: false,
+        keywords: ['rent', 'furniture', 'urban company', 'repair', 'maintenance', 'ikea'] },
+    { name: 'Groceries', icon: '🛒', color: '#9966ff', isWant: false,
+        keywords: ['bigbasket', 'blinkit', 'zepto', 'dmart', 'grocery', 'instamart', 'jiomart', 'supermarket'] },
+    { name: 'Shopping', icon: '🛍️', color: '#4bc0c0', isWant: true,
+        keywords: ['amazon', 'flipkart', 'myntra', 'ajio', 'nykaa', 'meesho', 'decathlon'] },
+    { name: 'Gifting', icon: '🎁', color: '#ff9f40', isWant: true,
+        keywords: ['gift', 'ferns', 'igp', 'archies'] },
+    { name: 'Entertainment', icon: '🎬', color: '#c7c7c7', isWant: true,
+        keywords: ['netflix', 'spotify', 'bookmyshow', 'prime video', 'hotstar', 'pvr', 'inox', 'steam'] }
+];
+
+// ===== Currencies =====
+const currencySymbols = {
+    'INR': '₹',
+    'USD': '$',
+    'EUR': '€',
+    'GBP': '£',
+    'JPY': '¥',
+    'AED': 'د.إ ',
+    'SGD': 'S$',
+    'THB': '฿',
+    'AUD': 'A$',
+    'CAD': 'C$',
+    'LKR': 'Rs ',
+    'NPR': 'रू '
 };
 
 // ===== DOM Elements =====
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
 
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
 // ===== Initialize App =====
 async function init() {
+    loadSyncConfig();
     await loadSettings();
+    state.viewMonth = getCurrentMonth();
+    const repaired = (await checkIntegrity()).fixes.length;
+    const posted = await postDueRecurring();
+    const closed = await closeFinishedMonths();
+    const expired = await expireParkedItems();
     await updateDashboard();
     await renderExpenses();
     await renderParking();
@@ -44,17 +234,62 @@ async function init() {
     setupEventListeners();
     registerServiceWorker();
     updateMascot();
+    startNotificationChecks();
+    startAutoSync();
+    
+    // Opened from a notification
+    if (location.hash) openTab(location.hash.slice(1));
+    
+    if (repaired > 0) {
+        showToast(`Repaired ${repaired} data problem${repaired > 1 ? 's' : ''}. Details in Settings › Check Data.`);
+    } else if (posted > 0) {
+        showToast(`Posted ${posted} recurring expense${posted > 1 ? 's' : ''} 🔁`);
+    } else if (closed.length > 0) {
+        showToast(`${closed[closed.length - 1].label} closed: ${describeCloseOutcome(closed[closed.length - 1])} 📒`);
+    } else if (expired > 0) {
+        showToast(`${expired} parked item${expired > 1 ? 's' : ''} expired unbought 🅿️`);
+    }
 }
 
 // ===== Settings Management =====
 async function loadSettings() {
+    await loadCategories();
+    
     const budgetSetting = await db.settings.get('budget');
-    const taxSetting = await db.settings.get('impulseTax');
+    const envelopeSetting = await db.settings.get('categoryBudgets');
+    const currencySetting = await db.settings.get('homeCurrency');
+    const ratesSetting = await db.settings.get('exchangeRates');
+    const taxRuleSetting = await db.settings.get('taxRule');
+    const notificationSetting = await db.settings.get('notifications');
+    const earningsSetting = await db.settings.get('earnings');
+    const cycleSetting = await db.settings.get('budgetCycle');
+    const closePolicySetting = await db.settings.get('closePolicy');
     
     state.budget = budgetSetting?.value || 0;
-    state.impulseTax = taxSetting?.value || 0;
+    state.categoryBudgets = envelopeSetting?.value || {};
+    state.homeCurrency = currencySetting?.value || 'INR';
+    state.exchangeRates = ratesSetting?.value || {};
+    state.taxRule = { ...defaultTaxRule, ...taxRuleSetting?.value };
+    state.notifications = { ...defaultNotificationSettings, ...notificationSetting?.value };
+    state.earnings = { ...defaultEarnings, ...earningsSetting?.value };
+    state.closePolicy = { ...defaultClosePolicy, ...closePolicySetting?.value };
+    
+    // A cycle changed elsewhere (sync, another profile) regroups this book's records
+    const previousCycle = state.budgetCycle;
+    state.budgetCycle = { ...defaultBudgetCycle, ...cycleSetting?.value };
+    if (previousCycle && JSON.stringify(previousCycle) !== JSON.stringify(state.budgetCycle)) {
+        await rebucketRecords();
+        state.viewMonth = getCurrentMonth();
+    }
+    await loadFrictionRules();
+    await refreshHourlyRate();
     
     $('#monthlyBudget').value = state.budget || '';
+    renderCategoryBudgetInputs();
+    renderCurrencySettings();
+    renderBudgetCycleSettings();
+    renderTaxRuleSettings();
+    renderNotificationSettings();
 }
 
 async function saveBudget(amount) {
@@ -65,768 +300,5919 @@ async function saveBudget(amount) {
     showToast('Budget saved! 💰');
 }
 
-async function saveImpulseTax(amount) {
-    state.impulseTax += amount;
-    await db.settings.put({ key: 'impulseTax', value: state.impulseTax });
+async function saveCategoryBudgets(budgets) {
+    await db.settings.put({ key: 'categoryBudgets', value: budgets });
+    state.categoryBudgets = budgets;
+    await updateDashboard();
+    updateMascot('proud');
+    showToast('Envelopes saved! ✉️');
 }
 
-// ===== Core Calculations =====
-function getDaysInMonth() {
-    const now = new Date();
-    return new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+function renderCategoryBudgetInputs() {
+    // Archived categories keep their envelope input only while it still holds a limit
+    const categories = state.categories.filter(c => !c.archived || state.categoryBudgets[c.name]);
+    
+    $('#categoryBudgetInputs').innerHTML = categories.map(c => `
+        <div class="envelope-input">
+            <label for="envelope-${c.id}">${c.icon} ${escapeHtml(c.name)}</label>
+            <input type="number" id="envelope-${c.id}" data-category="${escapeHtml(c.name)}"
+                min="0" step="100" placeholder="No limit" value="${state.categoryBudgets[c.name] || ''}">
+        </div>
+    `).join('');
 }
 
-function getDaysRemaining() {
-    const now = new Date();
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-    return Math.max(1, lastDay - now.getDate() + 1);
+// ===== Categories =====
+async function loadCategories() {
+    if (await db.categories.count() === 0) {
+        await db.categories.bulkAdd(defaultCategories.map((c, order) => ({ ...c, archived: false, order })));
+    }
+    
+    state.categories = await db.categories.orderBy('order').toArray();
+    renderCategorySelects();
 }
 
-function getDaysPassed() {
-    const now = new Date();
-    return Math.max(1, now.getDate());
+function getCategory(name) {
+    return state.categories.find(c => c.name === name);
 }
 
-function getCurrentMonth() {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+function getCategoryIcon(name) {
+    return getCategory(name)?.icon || '💰';
 }
 
-async function getMonthlySpending() {
-    const month = getCurrentMonth();
-    const expenses = await db.expenses.where('month').equals(month).toArray();
-    return expenses.reduce((sum, e) => sum + e.amount, 0);
+function getActiveCategories() {
+    return state.categories.filter(c => !c.archived);
 }
 
-async function calculateSafeToSpend() {
-    if (state.budget <= 0) return 0;
-    const spent = await getMonthlySpending();
-    const remaining = state.budget - spent;
-    const daysLeft = getDaysRemaining();
-    return Math.max(0, Math.floor(remaining / daysLeft));
+// `selected` keeps an archived category pickable while editing its old entries
+function categoryOptionsHtml({ includeArchived = false, selected = null } = {}) {
+    return state.categories
+        .filter(c => includeArchived || !c.archived || c.name === selected)
+        .map(c => `<option value="${escapeHtml(c.name)}">${c.icon} ${escapeHtml(c.name)}${c.archived ? ' (archived)' : ''}</option>`)
+        .join('');
 }
 
-async function calculateRunway() {
-    const spent = await getMonthlySpending();
-    const remaining = state.budget - spent;
+function renderCategorySelects(selected = null) {
+    $('#category').innerHTML = '<option value="">Select...</option>' + categoryOptionsHtml({ selected });
+    if (selected) $('#category').value = selected;
+    renderFilterCategoryOptions();
+}
+
+function findCategoryByName(name, exceptId = null) {
+    const lower = name.toLowerCase();
+    return state.categories.find(c => c.name.toLowerCase() === lower && c.id !== exceptId);
+}
+
+function parseKeywords(text) {
+    return text.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+async function addCategory(data) {
+    const name = data.name.trim();
+    if (!name) return;
+    if (findCategoryByName(name)) {
+        showToast(`"${name}" already exists.`);
+        return;
+    }
     
-    if (spent <= 0) return { type: 'infinite' };
-    if (remaining <= 0) return { type: 'overrun' };
+    await db.categories.add({
+        name,
+        icon: data.icon || '💰',
+        color: data.color,
+        isWant: data.isWant,
+        keywords: [],
+        archived: false,
+        order: state.categories.length
+    });
     
-    const avgDaily = spent / getDaysPassed();
-    const daysUntilZero = remaining / avgDaily;
+    await refreshCategories();
+    showToast(`${data.icon || '💰'} ${name} added!`);
+}
+
+// Renames are carried into every record that stores the category by name
+async function updateCategory(id, changes) {
+    const category = await db.categories.get(id);
+    if (!category) return;
     
-    const runwayDate = new Date();
-    runwayDate.setDate(runwayDate.getDate() + Math.floor(daysUntilZero));
+    const name = changes.name.trim();
+    if (!name) return;
+    if (findCategoryByName(name, id)) {
+        showToast(`"${name}" already exists. Use merge instead.`);
+        return;
+    }
     
-    return { type: 'date', date: runwayDate };
+    await db.transaction('rw', db.categories, db.expenses, db.parking, db.recurring, db.settings, async () => {
+        if (name !== category.name) {
+            await moveCategoryRecords(category.name, name);
+        }
+        await db.categories.update(id, { ...changes, name });
+    });
+    
+    await refreshCategories();
+    showToast('Category saved! 🏷️');
 }
 
-function calculateImpulseTax(amount) {
-    if (amount % 100 === 0) return 0;
-    return Math.ceil(amount / 100) * 100 - amount;
+async function archiveCategory(id, archived) {
+    await db.categories.update(id, { archived });
+    await refreshCategories();
+    showToast(archived ? 'Category archived. Past expenses keep it.' : 'Category restored!');
 }
 
-// ===== Dashboard Update =====
-async function updateDashboard() {
-    const spent = await getMonthlySpending();
-    const safeToSpend = await calculateSafeToSpend();
-    const runway = await calculateRunway();
+// Moves every expense, parked item, recurring rule, envelope and tax multiplier from one category into another
+async function mergeCategory(fromId, intoId) {
+    const from = await db.categories.get(fromId);
+    const into = await db.categories.get(intoId);
+    if (!from || !into || fromId === intoId) return;
     
-    // Update values
-    $('#safeToSpend').textContent = `₹${safeToSpend.toLocaleString()}`;
-    $('#impulseTax').textContent = `₹${state.impulseTax.toLocaleString()}`;
-    $('#budgetAmount').textContent = state.budget.toLocaleString();
-    $('#spentAmount').textContent = Math.floor(spent).toLocaleString();
+    if (!confirm(`Move everything in ${from.name} into ${into.name} and remove ${from.name}?`)) {
+        renderCategoryManager();
+        return;
+    }
     
-    // Update runway
-    if (runway.type === 'infinite') {
-        $('#runway').textContent = '∞';
-    } else if (runway.type === 'overrun') {
-        $('#runway').textContent = 'Overrun!';
-    } else {
-        const options = { month: 'short', day: 'numeric' };
-        $('#runway').textContent = runway.date.toLocaleDateString('en-IN', options);
+    await db.transaction('rw', db.categories, db.expenses, db.parking, db.recurring, db.settings, async () => {
+        await moveCategoryRecords(from.name, into.name);
+        await db.categories.update(intoId, {
+            keywords: [...new Set([...(into.keywords || []), ...(from.keywords || [])])]
+        });
+        await db.categories.delete(fromId);
+    });
+    
+    await refreshCategories();
+    showToast(`${from.name} merged into ${into.name}! 🏷️`);
+}
+
+async function moveCategoryRecords(fromName, toName) {
+    for (const table of ['expenses', 'parking', 'recurring']) {
+        await db.table(table).where('category').equals(fromName).modify({ category: toName });
     }
     
-    // Update progress bar
-    const progress = state.budget > 0 ? (spent / state.budget) * 100 : 0;
-    $('#budgetProgress').style.width = `${Math.min(100, progress)}%`;
+    // Envelope limits follow the category; merged limits add up
+    const budgets = { ...state.categoryBudgets };
+    if (budgets[fromName]) {
+        budgets[toName] = (budgets[toName] || 0) + budgets[fromName];
+        delete budgets[fromName];
+        await db.settings.put({ key: 'categoryBudgets', value: budgets });
+    }
     
-    // Warning state
-    const safeCard = $('.safe-spend-card');
-    if (safeToSpend < 100) {
-        safeCard.classList.add('warning');
-    } else {
-        safeCard.classList.remove('warning');
+    if (state.frictionRules.some(rule => rule.categories.includes(fromName))) {
+        const rules = state.frictionRules.map(rule => ({
+            ...rule,
+            categories: [...new Set(rule.categories.map(name => name === fromName ? toName : name))]
+        }));
+        await db.settings.put({ key: 'frictionRules', value: rules });
+    }
+    
+    // A merged category keeps its own multiplier if it already had one
+    const multipliers = { ...state.taxRule.categoryMultipliers };
+    if (fromName in multipliers) {
+        multipliers[toName] = multipliers[toName] ?? multipliers[fromName];
+        delete multipliers[fromName];
+        await db.settings.put({ key: 'taxRule', value: { ...state.taxRule, categoryMultipliers: multipliers } });
     }
 }
 
-// ===== Mascot System =====
-function updateMascot(tempState = null) {
-    const mascot = $('#mascot');
-    let newState = 'zen';
+async function refreshCategories() {
+    await loadSettings();
+    renderCategoryManager();
+    await updateDashboard();
+    await renderExpenses();
+    await renderParking();
+    await updateCharts();
+}
+
+function renderCategoryManager() {
+    $('#categoryManagerList').innerHTML = state.categories.map(c => `
+        <div class="category-row ${c.archived ? 'archived' : ''}" data-id="${c.id}">
+            <div class="category-row-main">
+                <input type="text" class="category-icon-input" data-field="icon" value="${c.icon}" maxlength="4" aria-label="Emoji">
+                <input type="text" data-field="name" value="${escapeHtml(c.name)}" aria-label="Name">
+                <input type="color" data-field="color" value="${c.color}" aria-label="Chart color">
+            </div>
+            <input type="text" data-field="keywords" value="${escapeHtml((c.keywords || []).join(', '))}" placeholder="Import keywords, comma separated">
+            <label class="category-row-cooling">
+                Parking cooling-off
+                <input type="number" data-field="coolingDays" min="1" step="1" placeholder="${DEFAULT_COOLING_DAYS}" value="${c.coolingDays || ''}">
+                days
+            </label>
+            <div class="category-row-options">
+                <label><input type="checkbox" data-field="isWant" ${c.isWant ? 'checked' : ''}> Want by default</label>
+            </div>
+            <div class="category-row-actions">
+                <select data-action="merge" aria-label="Merge into">
+                    <option value="">Merge into…</option>
+                    ${state.categories.filter(other => other.id !== c.id).map(other =>
+                        `<option value="${other.id}">${other.icon} ${escapeHtml(other.name)}</option>`
+                    ).join('')}
+                </select>
+                <button class="btn btn-secondary" data-action="archive">${c.archived ? 'Restore' : 'Archive'}</button>
+                <button class="btn btn-primary" data-action="save">Save</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function handleCategoryManagerAction(e) {
+    const row = e.target.closest('.category-row');
+    const action = e.target.dataset.action;
+    if (!row || !action) return;
     
-    if (tempState) {
-        newState = tempState;
-        mascot.src = `assets/mascot-${tempState}.png`;
-        setTimeout(() => updateMascot(), 3000);
-        return;
-    }
+    const id = Number(row.dataset.id);
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
     
-    // Calculate persistent state
-    (async () => {
-        const safeToSpend = await calculateSafeToSpend();
-        const spent = await getMonthlySpending();
-        const ratio = state.budget > 0 ? (state.budget - spent) / state.budget : 1;
-        
-        if (safeToSpend < 100) {
-            newState = 'panicked';
-        } else if (ratio < 0.5) {
-            newState = 'suspicious';
-        } else {
-            newState = 'zen';
-        }
-        
-        state.mascotState = newState;
-        mascot.src = `assets/mascot-${newState}.png`;
-    })();
+    if (action === 'save' && e.type === 'click') {
+        updateCategory(id, {
+            icon: field('icon').value.trim() || '💰',
+            name: field('name').value,
+            color: field('color').value,
+            keywords: parseKeywords(field('keywords').value),
+            isWant: field('isWant').checked,
+            coolingDays: parseInt(field('coolingDays').value) || null
+        });
+    } else if (action === 'archive' && e.type === 'click') {
+        archiveCategory(id, !row.classList.contains('archived'));
+    } else if (action === 'merge' && e.type === 'change' && e.target.value) {
+        mergeCategory(id, Number(e.target.value));
+    }
 }
 
-// ===== Expense Management =====
-async function addExpense(data) {
-    const now = new Date();
-    const expense = {
-        amount: parseFloat(data.amount),
-        category: data.category,
-        description: data.description || '',
-        isWant: data.isWant,
-        date: now.toISOString(),
-        month: getCurrentMonth()
+// ===== Currency Settings =====
+function formatMoney(amount, currency = state.homeCurrency) {
+    return `${currencySymbols[currency] || `${currency} `}${amount.toLocaleString()}`;
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function getAvailableCurrencies() {
+    return [state.homeCurrency, ...Object.keys(state.exchangeRates)];
+}
+
+// Expenses keep what was typed (`originalAmount` in `currency`) next to the
+// home-currency `amount` that budgets, charts and impulse tax all run on
+function convertToHome(amount, currency = state.homeCurrency, rate = null) {
+    const appliedRate = currency === state.homeCurrency ? 1 : (rate ?? state.exchangeRates[currency]);
+    if (!appliedRate) return null;
+    
+    return {
+        amount: roundMoney(amount * appliedRate),
+        originalAmount: amount,
+        currency,
+        rate: appliedRate
     };
+}
+
+function renderCurrencySettings() {
+    const codes = Object.keys(currencySymbols);
+    
+    $('#homeCurrency').innerHTML = codes.map(code =>
+        `<option value="${code}">${code} (${currencySymbols[code].trim()})</option>`
+    ).join('');
+    $('#homeCurrency').value = state.homeCurrency;
     
-    await db.expenses.add(expense);
+    $('#rateInputs').innerHTML = codes.filter(code => code !== state.homeCurrency).map(code => `
+        <div class="envelope-input">
+            <label for="rate-${code}">1 ${code} =</label>
+            <input type="number" id="rate-${code}" data-currency="${code}"
+                min="0" step="any" placeholder="Not used" value="${state.exchangeRates[code] || ''}">
+        </div>
+    `).join('');
     
-    // Handle impulse tax for "Want" expenses
-    if (data.isWant) {
-        const tax = calculateImpulseTax(expense.amount);
-        if (tax > 0) {
-            await saveImpulseTax(tax);
+    $$('.currency-symbol').forEach(el => { el.textContent = currencySymbols[state.homeCurrency].trim(); });
+    $$('.home-currency-code').forEach(el => { el.textContent = state.homeCurrency; });
+    renderExpenseCurrencyOptions();
+    renderIncomeCurrencyOptions();
+}
+
+function renderExpenseCurrencyOptions(selected = state.homeCurrency) {
+    const codes = getAvailableCurrencies();
+    if (!codes.includes(selected)) codes.push(selected);
+    
+    $('#currency').innerHTML = codes.map(code => `<option value="${code}">${code}</option>`).join('');
+    $('#currency').value = selected;
+    $('#currency').classList.toggle('hidden', codes.length === 1);
+}
+
+async function saveCurrencySettings(homeCurrency, rates) {
+    if (homeCurrency !== state.homeCurrency) {
+        if (!rates[homeCurrency]) {
+            showToast(`Add a rate for ${homeCurrency} first so existing data can be converted.`);
+            return;
         }
+        if (!confirm(`Convert all budgets and expenses from ${state.homeCurrency} to ${homeCurrency}?`)) return;
+        
+        rates = await rebaseHomeCurrency(homeCurrency, rates);
     }
     
+    await db.settings.put({ key: 'exchangeRates', value: rates });
+    await db.settings.put({ key: 'homeCurrency', value: homeCurrency });
+    
+    await loadSettings();
     await updateDashboard();
     await renderExpenses();
+    await renderParking();
     await updateCharts();
-    updateMascot(data.isWant && expense.amount > 2000 ? 'disappointed' : null);
+    showToast('Currencies saved! 💱');
+}
+
+// Re-expresses every stored amount in the new home currency.
+// `rates` are still relative to the old home currency when this is called.
+async function rebaseHomeCurrency(newHome, rates) {
+    const oldHome = state.homeCurrency;
+    const factor = rates[newHome]; // 1 newHome = factor oldHome
+    const convert = (amount) => roundMoney(amount / factor);
     
-    playSound(data.isWant ? 'crunch' : 'chime');
+    const newRates = { [oldHome]: 1 / factor };
+    Object.entries(rates).forEach(([code, rate]) => {
+        if (code !== newHome) newRates[code] = rate / factor;
+    });
+    
+    const rebaseEntry = (e) => {
+        if (!e.currency) {
+            e.currency = oldHome;
+            e.originalAmount = e.amount;
+            e.rate = 1;
+        }
+        e.amount = convert(e.amount);
+        e.rate = e.rate / factor;
+    };
+    
+    await db.transaction('rw', [db.expenses, db.income, db.parking, db.parkingDecisions, db.recurring, db.taxLedger, db.goals, db.closes, db.settlements, db.settings], async () => {
+        await db.expenses.toCollection().modify(e => {
+            rebaseEntry(e);
+            if (e.taxRule) e.taxRule = convertTaxRule(e.taxRule, convert);
+        });
+        await db.income.toCollection().modify(rebaseEntry);
+        await db.parking.toCollection().modify(p => { p.amount = convert(p.amount); });
+        await db.parkingDecisions.toCollection().modify(d => { d.amount = convert(d.amount); });
+        await db.recurring.toCollection().modify(r => { r.amount = convert(r.amount); });
+        await db.taxLedger.toCollection().modify(t => { t.amount = convert(t.amount); });
+        await db.goals.toCollection().modify(g => { g.target = convert(g.target); });
+        await db.settlements.toCollection().modify(s => { s.amount = convert(s.amount); });
+        await db.closes.toCollection().modify(c => {
+            ['budget', 'carriedIn', 'effectiveBudget', 'spent', 'need', 'want', 'impulseTax', 'leftover', 'carryOver', 'saved']
+                .forEach(field => { c[field] = convert(c[field]); });
+            Object.keys(c.categories).forEach(category => { c.categories[category] = convert(c.categories[category]); });
+        });
+        
+        const budgets = {};
+        Object.entries(state.categoryBudgets).forEach(([category, amount]) => {
+            budgets[category] = convert(amount);
+        });
+        await db.settings.put({ key: 'budget', value: convert(state.budget) });
+        await db.settings.put({ key: 'categoryBudgets', value: budgets });
+        await db.settings.put({ key: 'taxRule', value: convertTaxRule(state.taxRule, convert) });
+        await db.settings.put({ key: 'frictionRules', value: state.frictionRules.map(rule => ({
+            ...rule,
+            minAmount: rule.minAmount === null ? null : convert(rule.minAmount),
+            maxAmount: rule.maxAmount === null ? null : convert(rule.maxAmount)
+        })) });
+        await db.settings.put({ key: 'referencePrices', value: {
+            meal: convert(state.referencePrices.meal),
+            coffee: convert(state.referencePrices.coffee)
+        } });
+        await db.settings.put({ key: 'earnings', value: {
+            ...state.earnings,
+            hourlyRate: state.earnings.hourlyRate ? convert(state.earnings.hourlyRate) : null
+        } });
+    });
+    
+    return newRates;
 }
 
-async function deleteExpense(id) {
-    await db.expenses.delete(id);
-    await updateDashboard();
-    await renderExpenses();
-    await updateCharts();
+// ===== Impulse Tax Ledger =====
+// Every Want expense accrues tax into the vault; edits adjust it, deletes
+// reverse it, and transfers record money actually moved to savings.
+const taxEntryLabels = {
+    opening: 'Opening balance',
+    accrual: 'Impulse tax',
+    adjustment: 'Tax adjusted',
+    reversal: 'Tax reversed',
+    transfer: 'Moved to savings',
+    leftover: 'Leftover budget'
+};
+
+function taxEntry(type, amount, extra = {}) {
+    return { type, amount: roundMoney(amount), date: new Date().toISOString(), ...extra };
 }
 
-async function renderExpenses() {
-    const month = getCurrentMonth();
-    const expenses = await db.expenses.where('month').equals(month).reverse().toArray();
-    const container = $('#expenseList');
+// Rebuilds per-expense accruals for data recorded before the ledger existed.
+// Whatever the old running total can't trace to an expense becomes an opening balance.
+async function seedTaxLedger(expenses, ledger, legacyTotal) {
+    // Imported statement rows never accrued tax, as in syncExpenseTax
+    const wants = await expenses.filter(e => e.isWant && e.source !== 'csv').toArray();
+    const entries = wants
+        .map(e => taxEntry('accrual', taxForRule(e.amount, legacyTaxRule), { expenseUid: e.uid, date: e.date }))
+        .filter(entry => entry.amount > 0);
     
-    if (expenses.length === 0) {
-        container.innerHTML = '<p class="empty-state">No expenses yet. Start tracking!</p>';
-        return;
-    }
+    const traced = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const opening = roundMoney(legacyTotal - traced);
+    if (opening !== 0) entries.push(taxEntry('opening', opening));
     
-    container.innerHTML = expenses.map(e => {
-        const date = new Date(e.date);
-        const dateStr = date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
-        const timeStr = date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
-        
-        return `
-            <div class="expense-item" data-id="${e.id}">
-                <div class="expense-icon">${categoryIcons[e.category] || '💰'}</div>
-                <div class="expense-details">
-                    <div class="expense-category">${e.category}</div>
-                    ${e.description ? `<div class="expense-desc">${e.description}</div>` : ''}
-                    <div class="expense-meta">${dateStr} • ${timeStr} • ${e.isWant ? 'Want' : 'Need'}</div>
-                </div>
-                <div class="expense-amount ${e.isWant ? 'want' : 'need'}">₹${e.amount.toLocaleString()}</div>
-                <button class="delete-btn" onclick="deleteExpense(${e.id})">×</button>
-            </div>
-        `;
-    }).join('');
+    await ledger.bulkAdd(entries);
 }
 
-// ===== Parking Lot (30-Day Rule) =====
-async function parkItem(data) {
-    const now = new Date();
-    const expiry = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+// Brings an expense's net tax in line with what it should carry now
+async function syncExpenseTax(expense, { removed = false } = {}) {
+    const entries = await db.taxLedger.where('expenseUid').equals(expense.uid).toArray();
+    const charged = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    // Imported statement rows were never taxed
+    const taxed = !removed && expense.isWant && expense.source !== 'csv';
+    const due = taxed ? taxForRule(expense.amount, expense.taxRule || legacyTaxRule) : 0;
+    const diff = roundMoney(due - charged);
+    if (diff === 0) return;
     
-    await db.parking.add({
-        amount: parseFloat(data.amount),
-        category: data.category,
-        description: data.description || '',
-        parkDate: now.toISOString(),
-        expiryDate: expiry.toISOString()
+    const type = removed ? 'reversal' : charged === 0 ? 'accrual' : 'adjustment';
+    const entry = taxEntry(type, diff, { expenseUid: expense.uid });
+    // Devices posting the same recurring expense, or deleting the same one,
+    // must produce the same entry rather than charging the household twice
+    if (entries.length === 0 || (removed && !entries.some(e => e.type === 'reversal'))) {
+        entry.uid = `${expense.uid}:${type}`;
+    }
+    await db.taxLedger.add(entry);
+}
+
+async function getTaxTotals() {
+    const entries = await db.taxLedger.toArray();
+    let accrued = 0;
+    let leftover = 0;
+    let transferred = 0;
+    
+    // Leftover budget saved at a close sits in the vault but was never impulse tax
+    entries.forEach(entry => {
+        if (entry.type === 'transfer') transferred += entry.amount;
+        else if (entry.type === 'leftover') leftover += entry.amount;
+        else accrued += entry.amount;
     });
     
-    await renderParking();
-    updateMascot('proud');
-    showToast('Item parked for 30 days! 🅿️');
+    return { accrued, leftover, transferred, outstanding: accrued + leftover - transferred };
 }
 
-async function convertParkedToExpense(id) {
-    const item = await db.parking.get(id);
-    if (!item) return;
+async function addTaxTransfer(data) {
+    const amount = parseFloat(data.amount);
+    if (!(amount > 0)) return;
     
-    await addExpense({
-        amount: item.amount,
-        category: item.category,
-        description: item.description,
-        isWant: true
-    });
+    const { outstanding } = await getTaxTotals();
+    if (amount > outstanding + 0.005) {
+        showToast(`Only ${formatMoney(Math.floor(outstanding))} is waiting in the vault.`);
+        return;
+    }
     
-    await db.parking.delete(id);
-    await renderParking();
+    await db.taxLedger.add(taxEntry('transfer', amount, {
+        goalUid: data.goalUid || undefined,
+        note: data.note || ''
+    }));
+    
+    await renderSavings();
+    await updateDashboard();
+    playSound('chime');
+    showToast(`${formatMoney(amount)} moved to savings! 🏦`);
 }
 
-async function deleteParkedItem(id) {
-    await db.parking.delete(id);
-    await renderParking();
-    showToast('Item removed from parking! 🎉');
+async function deleteTaxTransfer(id) {
+    const entry = await db.taxLedger.get(id);
+    if (entry?.type !== 'transfer') return;
+    
+    await db.taxLedger.delete(id);
+    await renderSavings();
+    await updateDashboard();
 }
 
-async function renderParking() {
-    const items = await db.parking.toArray();
-    const container = $('#parkingList');
+async function addSavingsGoal(data) {
+    const target = parseFloat(data.target);
+    const name = data.name.trim();
+    if (!name || !(target > 0)) return;
     
-    if (items.length === 0) {
-        container.innerHTML = '<p class="empty-state">Parked items will appear here.</p>';
+    await db.goals.add({ name, target });
+    await renderSavings();
+    showToast(`Goal "${name}" created! 🎯`);
+}
+
+async function deleteSavingsGoal(id) {
+    const goal = await db.goals.get(id);
+    if (!goal || !confirm(`Delete the goal "${goal.name}"? Its transfers stay in the history.`)) return;
+    
+    await db.goals.delete(id);
+    await renderSavings();
+}
+
+async function renderSavings() {
+    const entries = await db.taxLedger.orderBy('date').reverse().toArray();
+    const goals = await db.goals.toArray();
+    const totals = await getTaxTotals();
+    const goalNames = Object.fromEntries(goals.map(g => [g.uid, g.name]));
+    
+    $('#taxAccrued').textContent = formatMoney(Math.floor(totals.accrued));
+    $('#taxLeftover').textContent = formatMoney(Math.floor(totals.leftover));
+    $('#taxLeftover').parentElement.classList.toggle('hidden', totals.leftover <= 0);
+    $('#taxTransferred').textContent = formatMoney(Math.floor(totals.transferred));
+    $('#taxOutstanding').textContent = formatMoney(Math.floor(totals.outstanding));
+    
+    $('#goalList').innerHTML = goals.length === 0
+        ? '<p class="empty-state">No savings goals yet.</p>'
+        : goals.map(goal => {
+            const saved = entries
+                .filter(entry => entry.type === 'transfer' && entry.goalUid === goal.uid)
+                .reduce((sum, entry) => sum + entry.amount, 0);
+            const progress = (saved / goal.target) * 100;
+            
+            return `
+                <div class="envelope-item goal-item ${saved >= goal.target ? 'reached' : ''}">
+                    <div class="envelope-header">
+                        <span>🎯 ${escapeHtml(goal.name)}</span>
+                        <span>${formatMoney(Math.floor(saved))} / ${formatMoney(goal.target)}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${Math.min(100, progress)}%"></div>
+                    </div>
+                    <div class="envelope-meta">
+                        <span>${saved >= goal.target ? 'Reached! 🎉' : `${Math.floor(progress)}% there`}</span>
+                        <button class="link-btn" onclick="deleteSavingsGoal(${goal.id})">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    
+    $('#transferGoal').innerHTML = '<option value="">No goal</option>' +
+        goals.map(g => `<option value="${g.uid}">🎯 ${escapeHtml(g.name)}</option>`).join('');
+    
+    if (entries.length === 0) {
+        $('#taxLedgerList').innerHTML = '<p class="empty-state">Want purchases will start filling the vault.</p>';
         return;
     }
     
-    const now = new Date();
+    // Show which purchase each accrual came from
+    const expenseUids = [...new Set(entries.map(e => e.expenseUid).filter(Boolean))];
+    const expenses = await db.expenses.where('uid').anyOf(expenseUids).toArray();
+    const expenseNames = Object.fromEntries(expenses.map(e => [e.uid, e.description || e.category]));
     
-    container.innerHTML = items.map(item => {
-        const expiry = new Date(item.expiryDate);
-        const daysLeft = Math.max(0, Math.ceil((expiry - now) / (1000 * 60 * 60 * 24)));
+    $('#taxLedgerList').innerHTML = entries.slice(0, 50).map(entry => {
+        const date = new Date(entry.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        const detail = entry.type === 'transfer'
+            ? [goalNames[entry.goalUid] && `🎯 ${goalNames[entry.goalUid]}`, entry.note].filter(Boolean).join(' • ')
+            : entry.note || expenseNames[entry.expenseUid] || (entry.expenseUid ? 'deleted expense' : '');
+        const sign = entry.type === 'transfer' ? '−' : entry.amount < 0 ? '−' : '+';
         
         return `
-            <div class="parking-item" data-id="${item.id}">
-                <div class="parking-header">
-                    <div>
-                        <strong>${item.category}</strong> - ₹${item.amount.toLocaleString()}
-                        ${item.description ? `<br><small>${item.description}</small>` : ''}
-                    </div>
-                    <span class="parking-countdown">${daysLeft} days left</span>
-                </div>
-                <div class="parking-actions">
-                    <button class="btn btn-secondary" onclick="deleteParkedItem(${item.id})">Remove</button>
-                    <button class="btn btn-primary" onclick="convertParkedToExpense(${item.id})">Buy Now</button>
+            <div class="expense-item ledger-item ${entry.type}">
+                <div class="expense-details">
+                    <div class="expense-category">${taxEntryLabels[entry.type]}</div>
+                    <div class="expense-meta">${date}${detail ? ` • ${escapeHtml(detail)}` : ''}</div>
                 </div>
+                <div class="expense-amount">${sign}${formatMoney(Math.abs(entry.amount))}</div>
+                ${entry.type === 'transfer' ? `<button class="delete-btn" onclick="deleteTaxTransfer(${entry.id})">×</button>` : ''}
             </div>
         `;
     }).join('');
 }
 
-// ===== Charts =====
-async function updateCharts() {
-    await updatePieChart();
-    await updateBarChart();
+// ===== Budget Cycles =====
+// Budgets reset at the start of each cycle rather than on the 1st. Records
+// keep their cycle in the `month` field: `YYYY-MM` (the month the cycle
+// starts in) for monthly cycles, `YYYY-MM-DD` (its first day) for weekly ones.
+const cycleTypes = {
+    monthly: { adjective: 'Monthly', unit: 'Month' },
+    lastWorkingDay: { adjective: 'Monthly', unit: 'Month' },
+    biweekly: { adjective: 'Fortnightly', unit: 'Fortnight', days: 14 },
+    weekly: { adjective: 'Weekly', unit: 'Week', days: 7 }
+};
+
+const defaultBudgetCycle = { type: 'monthly', startDay: 1, anchor: null };
+
+function isCalendarCycle(cycle = state.budgetCycle) {
+    return cycle.type === 'monthly' && cycle.startDay === 1;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Whole days from `from` to `to`, safe across daylight-saving changes
+function daysBetween(from, to) {
+    return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+function lastWorkingDay(year, month) {
+    const date = new Date(year, month + 1, 0);
+    while (date.getDay() === 0 || date.getDay() === 6) date.setDate(date.getDate() - 1);
+    return date;
+}
+
+// First day of the monthly cycle that starts in the given calendar month.
+// A start day past the month's end (the 31st in February) falls on its last day.
+function monthlyCycleStart(year, month, cycle) {
+    if (cycle.type === 'lastWorkingDay') return lastWorkingDay(year, month);
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(cycle.startDay, lastDay));
+}
+
+function getCycleStart(date, cycle = state.budgetCycle) {
+    const day = startOfDay(date);
+    const length = cycleTypes[cycle.type].days;
+    
+    if (length) {
+        const offset = daysBetween(parseLocalDate(cycle.anchor), day);
+        day.setDate(day.getDate() - (((offset % length) + length) % length));
+        return day;
+    }
+    
+    const start = monthlyCycleStart(day.getFullYear(), day.getMonth(), cycle);
+    return day >= start ? start : monthlyCycleStart(day.getFullYear(), day.getMonth() - 1, cycle);
+}
+
+// `end` is the first day of the next cycle
+function getCycleBounds(monthKey, cycle = state.budgetCycle) {
+    const [year, month, day] = monthKey.split('-').map(Number);
+    const length = cycleTypes[cycle.type].days;
+    
+    if (length) {
+        return { start: new Date(year, month - 1, day), end: new Date(year, month - 1, day + length) };
+    }
+    return { start: monthlyCycleStart(year, month - 1, cycle), end: monthlyCycleStart(year, month, cycle) };
+}
+
+function getCalendarMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getCycleKey(start, cycle = state.budgetCycle) {
+    const month = getCalendarMonthKey(start);
+    return cycleTypes[cycle.type].days ? `${month}-${String(start.getDate()).padStart(2, '0')}` : month;
+}
+
+function getCycleUnit() {
+    return cycleTypes[state.budgetCycle.type].unit;
+}
+
+function formatCycleRange(monthKey, withYear = true) {
+    const { start, end } = getCycleBounds(monthKey);
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    const options = { day: 'numeric', month: 'short' };
+    return `${start.toLocaleDateString('en-IN', options)} – ${last.toLocaleDateString('en-IN', withYear ? { ...options, year: 'numeric' } : options)}`;
+}
+
+// Records were filed under the old cycle; move each to the one its date now falls in
+// Tables whose `month` index holds the budget-cycle key
+const cycleKeyedTables = ['expenses', 'income'];
+
+async function rebucketRecords() {
+    let moved = 0;
+    const tables = cycleKeyedTables.map(t => db.table(t));
+    await db.transaction('rw', tables, async () => {
+        for (const table of tables) {
+            await table.toCollection().modify(record => {
+                const month = getMonthKey(new Date(record.date));
+                if (record.month === month) return;
+                record.month = month;
+                moved++;
+            });
+        }
+    });
+    return moved;
+}
+
+function renderBudgetCycleSettings(cycle = state.budgetCycle) {
+    $('#cycleType').value = cycle.type;
+    $('#cycleStartDay').value = cycle.startDay;
+    $('#cycleAnchor').value = cycle.anchor || new Date().toLocaleDateString('en-CA');
+    showCycleFields();
+    
+    const { adjective, unit } = cycleTypes[state.budgetCycle.type];
+    $$('.cycle-adjective').forEach(el => { el.textContent = adjective; });
+    $$('.cycle-unit').forEach(el => { el.textContent = unit.toLowerCase(); });
+    $$('.cycle-unit-title').forEach(el => { el.textContent = unit; });
+}
+
+function readBudgetCycleSettings() {
+    const type = $('#cycleType').value;
+    return {
+        type,
+        startDay: Math.min(31, Math.max(1, parseInt($('#cycleStartDay').value) || 1)),
+        anchor: cycleTypes[type].days ? $('#cycleAnchor').value || new Date().toLocaleDateString('en-CA') : null
+    };
+}
+
+function showCycleFields() {
+    const cycle = readBudgetCycleSettings();
+    $$('.cycle-field').forEach(field => {
+        field.classList.toggle('hidden', !field.dataset.cycle.split(' ').includes(cycle.type));
+    });
+    
+    const current = getCycleKey(getCycleStart(new Date(), cycle), cycle);
+    const { start, end } = getCycleBounds(current, cycle);
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+    const options = { weekday: 'short', day: 'numeric', month: 'short' };
+    $('#cyclePreview').textContent = `Current cycle: ${start.toLocaleDateString('en-IN', options)} – ${last.toLocaleDateString('en-IN', options)}`;
+}
+
+async function saveBudgetCycle(cycle) {
+    await db.settings.put({ key: 'budgetCycle', value: cycle });
+    state.budgetCycle = cycle;
+    const moved = await rebucketRecords();
+    state.viewMonth = getCurrentMonth();
+    
+    renderBudgetCycleSettings();
+    await updateDashboard();
+    await renderExpenses();
+    await updateCharts();
+    showToast(moved > 0 ? `Budget cycle saved. Regrouped ${moved} entries 📅` : 'Budget cycle saved! 📅');
+}
+
+// ===== Core Calculations =====
+// "Month" throughout means the current budget cycle, which is the calendar
+// month unless the user picked another cycle.
+function getDaysInMonth() {
+    const { start, end } = getCycleBounds(getCurrentMonth());
+    return daysBetween(start, end);
+}
+
+function getDaysRemaining() {
+    const { end } = getCycleBounds(getCurrentMonth());
+    return Math.max(1, daysBetween(new Date(), end));
+}
+
+function getDaysPassed() {
+    const { start } = getCycleBounds(getCurrentMonth());
+    return Math.max(1, daysBetween(start, new Date()) + 1);
+}
+
+function getMonthKey(date) {
+    return getCycleKey(getCycleStart(date));
+}
+
+function getCurrentMonth() {
+    return getMonthKey(new Date());
+}
+
+function shiftMonth(monthKey, delta) {
+    const { start } = getCycleBounds(monthKey);
+    const length = cycleTypes[state.budgetCycle.type].days;
+    if (length) return getCycleKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + delta * length));
+    
+    const [year, month] = monthKey.split('-').map(Number);
+    return getCycleKey(monthlyCycleStart(year, month - 1 + delta, state.budgetCycle));
+}
+
+function formatMonthLabel(monthKey) {
+    if (!isCalendarCycle()) return formatCycleRange(monthKey);
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+}
+
+function getMonthEnd() {
+    const { end } = getCycleBounds(getCurrentMonth());
+    return new Date(end.getTime() - 1);
+}
+
+async function getMonthlySpending(month = getCurrentMonth()) {
+    const expenses = await db.expenses.where('month').equals(month).toArray();
+    return expenses.reduce((sum, e) => sum + e.amount, 0);
+}
+
+async function getMonthSplit(month = getCurrentMonth()) {
+    const expenses = await db.expenses.where('month').equals(month).toArray();
+    const split = { need: 0, want: 0 };
+    expenses.forEach(e => {
+        split[e.isWant ? 'want' : 'need'] += e.amount;
+    });
+    return split;
+}
+
+async function getCategorySpending(month = getCurrentMonth()) {
+    const expenses = await db.expenses.where('month').equals(month).toArray();
+    const totals = {};
+    expenses.forEach(e => {
+        totals[e.category] = (totals[e.category] || 0) + e.amount;
+    });
+    return totals;
+}
+
+// Shared by the overall budget and every category envelope.
+// `committed` is recurring money already promised for the rest of the month.
+function safeToSpendFor(budget, spent, committed = 0) {
+    if (budget <= 0) return 0;
+    const remaining = budget - spent - committed;
+    const daysLeft = getDaysRemaining();
+    return Math.max(0, Math.floor(remaining / daysLeft));
+}
+
+function runwayFor(budget, spent, committed = 0) {
+    const remaining = budget - spent - committed;
+    
+    if (spent <= 0) return { type: 'infinite' };
+    if (remaining <= 0) return { type: 'overrun' };
+    
+    const avgDaily = spent / getDaysPassed();
+    const daysUntilZero = remaining / avgDaily;
+    
+    const runwayDate = new Date();
+    runwayDate.setDate(runwayDate.getDate() + Math.floor(daysUntilZero));
+    
+    return { type: 'date', date: runwayDate };
+}
+
+async function calculateSafeToSpend() {
+    const spent = await getMonthlySpending();
+    const committed = await getCommittedRecurring();
+    return safeToSpendFor(await getEffectiveBudget(), spent, committed.total);
+}
+
+async function calculateRunway() {
+    return forecastRunway(await buildForecast(), await getEffectiveBudget());
+}
+
+async function calculateEnvelopes(month = getCurrentMonth()) {
+    const totals = await getCategorySpending(month);
+    // Only the live month still has recurring money waiting to post
+    const committed = month === getCurrentMonth()
+        ? await getCommittedRecurring()
+        : { total: 0, byCategory: {} };
+    
+    return Object.entries(state.categoryBudgets)
+        .filter(([, budget]) => budget > 0)
+        .map(([category, budget]) => {
+            const spent = totals[category] || 0;
+            const upcoming = committed.byCategory[category] || 0;
+            return {
+                category,
+                budget,
+                spent,
+                safeToSpend: safeToSpendFor(budget, spent, upcoming),
+                runway: runwayFor(budget, spent, upcoming),
+                blown: spent > budget
+            };
+        });
+}
+
+// ===== Month-End Close =====
+// When a cycle ends its totals are frozen into a close, and what was left
+// over (or overspent) is settled by the chosen policy: carried into the next
+// cycle's budget, moved to the savings vault, or let go.
+const leftoverPolicies = {
+    none: 'Let it go',
+    rollover: 'Roll into the next cycle',
+    savings: 'Move to the savings vault'
+};
+
+const overrunPolicies = {
+    none: 'Start the next cycle fresh',
+    deduct: 'Deduct from the next cycle'
+};
+
+const defaultClosePolicy = { leftover: 'none', overrun: 'none' };
+// Catching up after a long break closes at most this many cycles
+const MAX_CATCH_UP_CLOSES = 24;
+
+// The budget a cycle actually has: the base budget adjusted by whatever the
+// previous cycle's close carried forward
+async function getBudgetFor(month = getCurrentMonth()) {
+    const previous = await getClose(shiftMonth(month, -1));
+    const carried = state.budget > 0 ? previous?.carryOver || 0 : 0;
+    return { base: state.budget, carried, effective: Math.max(0, state.budget + carried) };
+}
+
+async function getEffectiveBudget(month = getCurrentMonth()) {
+    return (await getBudgetFor(month)).effective;
+}
+
+// Closes and savings entries take ids from the cycle, so devices that close
+// the same cycle end up with one shared record
+async function closeMonth(month, policy = state.closePolicy) {
+    const expenses = await db.expenses.where('month').equals(month).toArray();
+    const taxEntries = await db.taxLedger.where('expenseUid').anyOf(expenses.map(e => e.uid)).toArray();
+    const budget = await getBudgetFor(month);
+    const { start, end } = getCycleBounds(month);
+    
+    const categories = {};
+    const split = { need: 0, want: 0 };
+    expenses.forEach(e => {
+        categories[e.category] = roundMoney((categories[e.category] || 0) + e.amount);
+        split[e.isWant ? 'want' : 'need'] += e.amount;
+    });
+    const spent = roundMoney(split.need + split.want);
+    const leftover = budget.base > 0 ? roundMoney(budget.effective - spent) : 0;
+    
+    const close = {
+        month,
+        label: formatMonthLabel(month),
+        start: start.toISOString(),
+        end: end.toISOString(),
+        budget: budget.base,
+        carriedIn: budget.carried,
+        effectiveBudget: budget.effective,
+        spent,
+        need: roundMoney(split.need),
+        want: roundMoney(split.want),
+        impulseTax: roundMoney(taxEntries.reduce((sum, entry) => sum + entry.amount, 0)),
+        categories,
+        leftover,
+        policy: { ...policy },
+        carryOver: (leftover > 0 && policy.leftover === 'rollover') || (leftover < 0 && policy.overrun === 'deduct') ? leftover : 0,
+        saved: leftover > 0 && policy.leftover === 'savings' ? leftover : 0,
+        closedAt: new Date().toISOString()
+    };
+    
+    await db.transaction('rw', db.closes, db.taxLedger, async () => {
+        // A close made under an earlier cycle may already hold the plain key's id
+        const existing = await getClose(month);
+        const taken = !existing && await db.closes.where('uid').equals(`close:${month}`).count() > 0;
+        close.uid = existing?.uid || (taken ? `close:${month}:${getDayKey(start)}` : `close:${month}`);
+        if (existing) await db.closes.put({ ...close, id: existing.id });
+        else await db.closes.add(close);
+        
+        const savingsUid = `${close.uid}:savings`;
+        const entry = await db.taxLedger.where('uid').equals(savingsUid).first();
+        if (close.saved > 0 && entry) {
+            await db.taxLedger.update(entry.id, { amount: close.saved });
+        } else if (close.saved > 0) {
+            await db.taxLedger.add(taxEntry('leftover', close.saved, { uid: savingsUid, note: close.label, date: close.end }));
+        } else if (entry) {
+            await db.taxLedger.delete(entry.id);
+        }
+    });
+    
+    return close;
+}
+
+// Closes every cycle that ended since the last close. Without any close yet
+// only the cycle just finished is closed, so old history isn't settled after the fact.
+async function closeFinishedMonths() {
+    const current = getCurrentMonth();
+    const latest = await db.closes.orderBy('end').last();
+    let month = latest ? getMonthKey(new Date(latest.end)) : shiftMonth(current, -1);
+    const closed = [];
+    
+    for (let i = 0; month < current && i < MAX_CATCH_UP_CLOSES; i++, month = shiftMonth(month, 1)) {
+        if (await getClose(month)) continue;
+        const active = state.budget > 0 || await db.expenses.where('month').equals(month).count() > 0;
+        if (active) closed.push(await closeMonth(month));
+    }
+    
+    return closed;
+}
+
+// The app can stay open past the end of a cycle; settle it without waiting for a reload
+async function checkCycleRollover() {
+    const closed = await closeFinishedMonths();
+    if (closed.length === 0) return;
+    
+    const last = closed[closed.length - 1];
+    if (closed.some(c => c.month === state.viewMonth)) {
+        await setViewMonth(getCurrentMonth());
+    } else {
+        await updateDashboard();
+    }
+    showToast(`${last.label} closed: ${describeCloseOutcome(last)} 📒`);
+}
+
+// A late or edited entry changes a closed cycle; settle it and every later close again
+async function recloseMonth(month) {
+    const from = await getClose(month);
+    if (!from) return;
+    
+    const closes = (await db.closes.orderBy('end').toArray()).filter(c => c.end >= from.end && isCloseCurrent(c));
+    for (const close of closes) {
+        await closeMonth(close.month, close.policy);
+    }
+    
+    await renderCloses();
+    await updateDashboard();
+    showToast(`${from.label} recalculated 📒`);
+}
+
+function describeCloseOutcome(close) {
+    if (close.saved > 0) return `${formatMoney(Math.floor(close.saved))} moved to savings`;
+    if (close.carryOver > 0) return `${formatMoney(Math.floor(close.carryOver))} rolled over`;
+    if (close.carryOver < 0) return `${formatMoney(Math.ceil(-close.carryOver))} deducted from the next cycle`;
+    if (close.leftover > 0) return `${formatMoney(Math.floor(close.leftover))} left over`;
+    if (close.leftover < 0) return `${formatMoney(Math.ceil(-close.leftover))} over budget`;
+    return 'No budget set';
+}
+
+// A close settles one period. After a cycle change the same key can name a
+// different period, and the old close no longer applies to it.
+function isCloseCurrent(close) {
+    const { start, end } = getCycleBounds(close.month);
+    return close.start === start.toISOString() && close.end === end.toISOString();
+}
+
+async function getClose(month) {
+    return (await db.closes.where('month').equals(month).filter(isCloseCurrent).first()) || null;
+}
+
+function renderClosePolicy() {
+    $('#leftoverPolicy').innerHTML = Object.entries(leftoverPolicies)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    $('#overrunPolicy').innerHTML = Object.entries(overrunPolicies)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    $('#leftoverPolicy').value = state.closePolicy.leftover;
+    $('#overrunPolicy').value = state.closePolicy.overrun;
+}
+
+async function saveClosePolicy(policy) {
+    await db.settings.put({ key: 'closePolicy', value: policy });
+    state.closePolicy = policy;
+    showToast('Month-end policy saved! 📒');
+}
+
+async function renderCloses() {
+    const closes = await db.closes.orderBy('end').reverse().toArray();
+    const container = $('#closeList');
+    
+    if (closes.length === 0) {
+        container.innerHTML = '<p class="empty-state">Finished cycles will be closed here automatically.</p>';
+        return;
+    }
+    
+    const html = await Promise.all(closes.map(async close => {
+        const stale = isCloseCurrent(close) && roundMoney(await getMonthlySpending(close.month)) !== close.spent;
+        const carried = close.carriedIn !== 0
+            ? ` (${close.carriedIn > 0 ? '+' : '−'}${formatMoney(Math.abs(Math.round(close.carriedIn)))} carried in)`
+            : '';
+        const categories = Object.entries(close.categories).sort((a, b) => b[1] - a[1]);
+        
+        return `
+            <div class="envelope-item close-item ${close.leftover < 0 ? 'blown' : ''}">
+                <div class="envelope-header">
+                    <span>${escapeHtml(close.label)}</span>
+                    <span>${formatMoney(Math.floor(close.spent))}${close.effectiveBudget > 0 ? ` / ${formatMoney(Math.floor(close.effectiveBudget))}` : ''}</span>
+                </div>
+                <div class="envelope-meta">
+                    <span>${describeCloseOutcome(close)}${carried}</span>
+                </div>
+                <details class="close-details">
+                    <summary>Details</summary>
+                    <div class="close-row"><span>Needs</span><span>${formatMoney(Math.floor(close.need))}</span></div>
+                    <div class="close-row"><span>Wants</span><span>${formatMoney(Math.floor(close.want))}</span></div>
+                    <div class="close-row"><span>Impulse tax</span><span>${formatMoney(Math.floor(close.impulseTax))}</span></div>
+                    ${categories.map(([category, amount]) => `
+                        <div class="close-row"><span>${getCategoryIcon(category)} ${escapeHtml(category)}</span><span>${formatMoney(Math.floor(amount))}</span></div>
+                    `).join('')}
+                </details>
+                ${stale ? `
+                    <div class="envelope-meta">
+                        <span>Entries changed since it was closed.</span>
+                        <button class="link-btn" onclick="recloseMonth('${close.month}')">Recalculate</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }));
+    container.innerHTML = html.join('');
+}
+
+// ===== Impulse Tax Rules =====
+const defaultTaxRule = {
+    type: 'roundUp',
+    multiple: 100,
+    percent: 10,
+    tiers: [
+        { upTo: 1000, percent: 5 },
+        { upTo: 5000, percent: 10 },
+        { upTo: null, percent: 15 }
+    ],
+    categoryMultipliers: {}
+};
+
+// The only rule before rules were configurable; expenses without a recorded rule used it
+const legacyTaxRule = { type: 'roundUp', multiple: 100, multiplier: 1 };
+
+const taxRuleTypes = {
+    roundUp: {
+        label: 'Round up to a multiple',
+        calculate: (amount, rule) => {
+            const remainder = roundMoney(amount % rule.multiple);
+            return remainder === 0 ? 0 : rule.multiple - remainder;
+        },
+        describe: (rule) => `round up to ${formatMoney(rule.multiple)}`
+    },
+    percent: {
+        label: 'Flat percentage',
+        calculate: (amount, rule) => amount * rule.percent / 100,
+        describe: (rule) => `${rule.percent}% of the price`
+    },
+    // Marginal, like income tax: each slice of the price pays its own tier's rate
+    tiered: {
+        label: 'Tiered percentage',
+        calculate: (amount, rule) => {
+            let tax = 0;
+            let floor = 0;
+            for (const tier of rule.tiers) {
+                const cap = tier.upTo ?? Infinity;
+                tax += (Math.min(amount, cap) - floor) * tier.percent / 100;
+                if (amount <= cap) return tax;
+                floor = cap;
+            }
+            // Above the last capped tier, keep charging its rate
+            return tax + (amount - floor) * rule.tiers[rule.tiers.length - 1].percent / 100;
+        },
+        describe: (rule) => `tiered ${rule.tiers.map(t => `${t.percent}%`).join(' / ')}`
+    }
+};
+
+// The rule as it applies to one category, in the compact form stored on each expense
+function effectiveTaxRule(category, rule = state.taxRule) {
+    const effective = { type: rule.type, multiplier: rule.categoryMultipliers[category] ?? 1 };
+    if (rule.type === 'roundUp') effective.multiple = rule.multiple;
+    if (rule.type === 'percent') effective.percent = rule.percent;
+    if (rule.type === 'tiered') effective.tiers = rule.tiers.map(t => ({ ...t }));
+    return effective;
+}
+
+// Edits keep the rule the expense was taxed under unless its category changes
+function taxRuleFor(category, original = null) {
+    if (original?.isWant && original.category === category) return original.taxRule || legacyTaxRule;
+    return effectiveTaxRule(category);
+}
+
+function taxForRule(amount, rule) {
+    if (!(amount > 0)) return 0;
+    return roundMoney(taxRuleTypes[rule.type].calculate(amount, rule) * (rule.multiplier ?? 1));
+}
+
+function describeTaxRule(rule) {
+    const base = taxRuleTypes[rule.type].describe(rule);
+    return rule.multiplier !== undefined && rule.multiplier !== 1 ? `${base} × ${rule.multiplier}` : base;
+}
+
+function calculateImpulseTax(amount, category = null) {
+    return taxForRule(amount, effectiveTaxRule(category));
+}
+
+function convertTaxRule(rule, convert) {
+    const converted = { ...rule };
+    if (rule.multiple) converted.multiple = convert(rule.multiple);
+    if (rule.tiers) converted.tiers = rule.tiers.map(t => ({ ...t, upTo: t.upTo === null ? null : convert(t.upTo) }));
+    return converted;
+}
+
+function renderTaxRuleSettings(rule = state.taxRule) {
+    $('#taxRuleType').innerHTML = Object.entries(taxRuleTypes)
+        .map(([type, def]) => `<option value="${type}">${def.label}</option>`)
+        .join('');
+    $('#taxRuleType').value = rule.type;
+    $('#taxMultiple').value = rule.multiple;
+    $('#taxPercent').value = rule.percent;
+    renderTaxTierInputs(rule.tiers);
+    
+    $('#taxMultiplierInputs').innerHTML = getActiveCategories().map(c => `
+        <div class="envelope-input">
+            <label for="multiplier-${c.id}">${c.icon} ${escapeHtml(c.name)}</label>
+            <input type="number" id="multiplier-${c.id}" data-category="${escapeHtml(c.name)}"
+                min="0" step="0.1" placeholder="1" value="${rule.categoryMultipliers[c.name] ?? ''}">
+        </div>
+    `).join('');
+    
+    showTaxRuleFields();
+}
+
+function renderTaxTierInputs(tiers) {
+    $('#taxTierInputs').innerHTML = tiers.map(tier => `
+        <div class="tier-row">
+            <input type="number" data-field="upTo" min="1" step="1" placeholder="and above" value="${tier.upTo ?? ''}" aria-label="Up to">
+            <input type="number" data-field="percent" min="0" step="0.5" value="${tier.percent}" aria-label="Percent">
+            <span>%</span>
+            <button type="button" class="delete-btn" onclick="this.parentElement.remove()">×</button>
+        </div>
+    `).join('');
+}
+
+function showTaxRuleFields() {
+    const type = $('#taxRuleType').value;
+    $$('.tax-rule-fields').forEach(el => el.classList.toggle('hidden', el.dataset.rule !== type));
+}
+
+function readTaxRuleSettings() {
+    const tiers = [...$$('#taxTierInputs .tier-row')]
+        .map(row => ({
+            upTo: parseFloat(row.querySelector('[data-field="upTo"]').value) || null,
+            percent: parseFloat(row.querySelector('[data-field="percent"]').value) || 0
+        }))
+        // Capped tiers in order, the open-ended one last
+        .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+    
+    const categoryMultipliers = {};
+    $$('#taxMultiplierInputs input').forEach(input => {
+        const multiplier = parseFloat(input.value);
+        if (input.value !== '' && multiplier >= 0 && multiplier !== 1) {
+            categoryMultipliers[input.dataset.category] = multiplier;
+        }
+    });
+    
+    return {
+        type: $('#taxRuleType').value,
+        multiple: parseFloat($('#taxMultiple').value) || defaultTaxRule.multiple,
+        percent: parseFloat($('#taxPercent').value) || 0,
+        tiers: tiers.length > 0 ? tiers : defaultTaxRule.tiers,
+        categoryMultipliers
+    };
+}
+
+async function saveTaxRule(rule) {
+    await db.settings.put({ key: 'taxRule', value: rule });
+    state.taxRule = rule;
+    renderTaxRuleSettings();
+    showToast('Tax rule saved! Past expenses keep their old rule. 🧾');
+}
+
+// Shows what saving the expense in the modal will add to the vault
+async function updateTaxPreview() {
+    const preview = $('#taxPreview');
+    const typed = getFormAmount();
+    const amount = convertToHome(typed, $('#currency').value)?.amount || 0;
+    const category = $('#category').value;
+    
+    if (!$('#wantToggle').checked || amount <= 0 || !category) {
+        preview.classList.add('hidden');
+        return;
+    }
+    
+    const original = state.editingId !== null ? await db.expenses.get(state.editingId) : null;
+    const rule = taxRuleFor(category, original);
+    const tax = taxForRule(amount, rule);
+    
+    preview.innerHTML = `Impulse tax: <strong>${formatMoney(tax)}</strong> <small>(${escapeHtml(describeTaxRule(rule))})</small>`;
+    preview.classList.remove('hidden');
+}
+
+// ===== Mindful Friction Rules =====
+// Each rule pairs conditions on the expense being entered with one action.
+// Every matching rule applies: the longest hold wins, and prompts run one
+// after another, in rule order, before the expense is saved. Edits skip friction.
+const frictionActions = {
+    hold: 'Hold the Save button',
+    costPerUse: 'Ask about cost per use',
+    park: 'Suggest parking it',
+    confirm: 'Ask a question'
+};
+
+const frictionKinds = { any: 'Needs & Wants', need: 'Needs only', want: 'Wants only' };
+
+// What the equivalence messages compare prices against, in the home currency
+const defaultReferencePrices = { meal: 90, coffee: 180 };
+const TRANSLATOR_THRESHOLD = 1000;
+
+function frictionRule(overrides = {}) {
+    return {
+        id: generateUid(),
+        name: 'New rule',
+        enabled: true,
+        categories: [],
+        kind: 'any',
+        minAmount: null,
+        maxAmount: null,
+        fromTime: '',
+        toTime: '',
+        safeShare: null,
+        action: 'hold',
+        seconds: 10,
+        perThousand: 0,
+        maxSeconds: 60,
+        question: '',
+        ...overrides
+    };
+}
+
+// The friction the app always had. Categories that used to carry their own
+// cost-per-use flag keep it through the rule.
+function defaultFrictionRules(categories) {
+    const flagged = categories.some(c => 'costPerUse' in c);
+    return [
+        frictionRule({ name: 'Pause before Wants', kind: 'want', action: 'hold', seconds: 10 }),
+        frictionRule({
+            name: 'Cost per use on big buys',
+            categories: flagged ? categories.filter(c => c.costPerUse).map(c => c.name) : ['Shopping', 'Entertainment'],
+            minAmount: 2000,
+            action: 'costPerUse'
+        })
+    ];
+}
+
+async function loadFrictionRules() {
+    const rulesSetting = await db.settings.get('frictionRules');
+    const pricesSetting = await db.settings.get('referencePrices');
+    
+    // Defaults stay in memory until saved, so a new device joining a household
+    // never syncs them over the rules everyone else set up
+    state.frictionRules = rulesSetting
+        ? rulesSetting.value.map(rule => frictionRule(rule))
+        : defaultFrictionRules(state.categories);
+    state.referencePrices = { ...defaultReferencePrices, ...pricesSetting?.value };
+}
+
+function inTimeWindow(from, to, now) {
+    if (!from && !to) return true;
+    const time = toDateTimeLocal(now).slice(11);
+    const start = from || '00:00';
+    const end = to || '23:59';
+    // Windows like 22:00-02:00 wrap past midnight
+    return start <= end ? time >= start && time <= end : time >= start || time <= end;
+}
+
+function ruleMatches(rule, draft) {
+    if (!rule.enabled) return false;
+    if (rule.categories.length > 0 && !rule.categories.includes(draft.category)) return false;
+    if ((rule.kind === 'want' && !draft.isWant) || (rule.kind === 'need' && draft.isWant)) return false;
+    if (rule.minAmount !== null && !(draft.amount > rule.minAmount)) return false;
+    if (rule.maxAmount !== null && draft.amount > rule.maxAmount) return false;
+    if (!inTimeWindow(rule.fromTime, rule.toTime, draft.now)) return false;
+    if (rule.safeShare !== null && draft.amount < draft.safeToSpend * rule.safeShare / 100) return false;
+    return true;
+}
+
+// Bigger purchases wait longer, up to the rule's ceiling
+function holdSecondsFor(rule, amount) {
+    const seconds = rule.seconds + Math.floor(amount / 1000) * rule.perThousand;
+    return Math.min(seconds, Math.max(rule.maxSeconds, rule.seconds));
+}
+
+async function getFriction(draft) {
+    const needsSafe = state.frictionRules.some(r => r.enabled && r.safeShare !== null);
+    const context = { ...draft, now: new Date(), safeToSpend: needsSafe ? await calculateSafeToSpend() : 0 };
+    const matches = state.frictionRules.filter(rule => ruleMatches(rule, context));
+    const holds = matches.filter(rule => rule.action === 'hold');
+    
+    return {
+        holdSeconds: holds.length > 0 ? Math.max(...holds.map(rule => holdSecondsFor(rule, draft.amount))) : 0,
+        steps: matches.filter(rule => rule.action !== 'hold')
+    };
+}
+
+// The expense form as friction sees it, in the home currency
+function getFormDraft() {
+    const typed = getFormAmount();
+    return {
+        amount: convertToHome(typed, $('#currency').value)?.amount ?? typed,
+        category: $('#category').value,
+        isWant: $('#wantToggle').checked
+    };
+}
+
+async function updateFrictionPreview() {
+    const holdSeconds = state.editingId !== null ? 0 : (await getFriction(getFormDraft())).holdSeconds;
+    state.holdSeconds = holdSeconds;
+    $('#saveBtn').classList.toggle('want-mode', holdSeconds > 0);
+    $('#saveBtn .btn-text').textContent = holdSeconds > 0 ? `Hold ${holdSeconds}s to Save` : 'Save';
+}
+
+function renderFrictionSettings(rules = state.frictionRules) {
+    const symbol = currencySymbols[state.homeCurrency].trim();
+    const active = getActiveCategories().map(c => c.name);
+    const options = (values, labels) => Object.entries(labels)
+        .map(([value, label]) => `<option value="${value}" ${values.includes(value) ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+    
+    $('#frictionRuleList').innerHTML = rules.map(rule => {
+        // Keep categories a rule names even if they were archived since
+        const names = [...new Set([...active, ...rule.categories])];
+        const categoryLabels = Object.fromEntries(names.map(name => [name, `${getCategoryIcon(name)} ${name}`]));
+        
+        return `
+            <div class="category-row friction-rule" data-id="${rule.id}" data-type="${rule.action}">
+                <div class="category-row-main">
+                    <input type="text" data-field="name" value="${escapeHtml(rule.name)}" aria-label="Rule name">
+                    <label class="friction-toggle"><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}> On</label>
+                    <button type="button" class="delete-btn" data-action="delete" aria-label="Remove rule">×</button>
+                </div>
+                <div class="friction-grid">
+                    <label class="wide">When the category is <small>(none selected = any)</small>
+                        <select multiple data-field="categories">${options(rule.categories, categoryLabels)}</select>
+                    </label>
+                    <label>For
+                        <select data-field="kind">${options([rule.kind], frictionKinds)}</select>
+                    </label>
+                    <label>% of today's safe-to-spend
+                        <input type="number" data-field="safeShare" min="0" step="5" placeholder="any" value="${rule.safeShare ?? ''}">
+                    </label>
+                    <label>Over (${symbol})
+                        <input type="number" data-field="minAmount" min="0" step="1" placeholder="any" value="${rule.minAmount ?? ''}">
+                    </label>
+                    <label>Up to (${symbol})
+                        <input type="number" data-field="maxAmount" min="0" step="1" placeholder="any" value="${rule.maxAmount ?? ''}">
+                    </label>
+                    <label>Between
+                        <input type="time" data-field="fromTime" value="${rule.fromTime}">
+                    </label>
+                    <label>and
+                        <input type="time" data-field="toTime" value="${rule.toTime}">
+                    </label>
+                </div>
+                <label class="friction-then">Then
+                    <select data-field="action">${options([rule.action], frictionActions)}</select>
+                </label>
+                <div class="friction-grid friction-fields" data-for="hold">
+                    <label>Seconds
+                        <input type="number" data-field="seconds" min="1" step="1" value="${rule.seconds}">
+                    </label>
+                    <label>+ per ${symbol}1,000
+                        <input type="number" data-field="perThousand" min="0" step="1" value="${rule.perThousand}">
+                    </label>
+                    <label>At most
+                        <input type="number" data-field="maxSeconds" min="1" step="1" value="${rule.maxSeconds}">
+                    </label>
+                </div>
+                <div class="friction-fields" data-for="confirm">
+                    <input type="text" data-field="question" placeholder="Would you still want this tomorrow?" value="${escapeHtml(rule.question)}" aria-label="Question">
+                </div>
+            </div>
+        `;
+    }).join('') || '<p class="empty-state">No rules. Saving is instant.</p>';
+}
+
+function readFrictionSettings() {
+    const number = (row, field) => {
+        const value = parseFloat(row.querySelector(`[data-field="${field}"]`).value);
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    
+    const rules = [...$$('#frictionRuleList .friction-rule')].map(row => {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`);
+        return frictionRule({
+            id: row.dataset.id,
+            name: field('name').value.trim() || 'Untitled rule',
+            enabled: field('enabled').checked,
+            categories: [...field('categories').selectedOptions].map(option => option.value),
+            kind: field('kind').value,
+            minAmount: number(row, 'minAmount'),
+            maxAmount: number(row, 'maxAmount'),
+            fromTime: field('fromTime').value,
+            toTime: field('toTime').value,
+            safeShare: number(row, 'safeShare'),
+            action: field('action').value,
+            seconds: Math.max(1, Math.round(number(row, 'seconds') || 10)),
+            perThousand: Math.round(number(row, 'perThousand') || 0),
+            maxSeconds: Math.max(1, Math.round(number(row, 'maxSeconds') || 60)),
+            question: field('question').value.trim()
+        });
+    });
+    
+    return {
+        rules,
+        prices: {
+            meal: parseFloat($('#mealPrice').value) || defaultReferencePrices.meal,
+            coffee: parseFloat($('#coffeePrice').value) || defaultReferencePrices.coffee
+        }
+    };
+}
+
+function handleFrictionRuleAction(e) {
+    const row = e.target.closest('.friction-rule');
+    if (!row) return;
+    
+    if (e.target.dataset.action === 'delete') {
+        row.remove();
+    } else if (e.target.dataset.field === 'action') {
+        row.dataset.type = e.target.value;
+    }
+}
+
+async function saveFrictionSettings({ rules, prices }) {
+    await db.settings.put({ key: 'frictionRules', value: rules });
+    await db.settings.put({ key: 'referencePrices', value: prices });
+    state.frictionRules = rules;
+    state.referencePrices = prices;
+    renderFrictionSettings();
+    await updateFrictionPreview();
+    showToast('Friction rules saved! 🧘');
+}
+
+// ===== Forecasting =====
+// Projects the live cycle from up to six months of history. Day-to-day
+// spending is modelled as a baseline scaled by weekday and part-of-cycle
+// factors; one-off spikes and recurring bills are kept out of the baseline.
+const FORECAST_HISTORY_MONTHS = 6;
+// A single expense this many times the typical spending day is a one-off
+const SPIKE_FACTOR = 4;
+// Days of evidence a weekday or month period needs before its factor is trusted
+const FACTOR_SHRINK_DAYS = 3;
+// ~80% confidence range
+const FORECAST_Z = 1.28;
+
+// Early, middle or late in its budget cycle (days 1-10, 11-20, 21+ of a calendar month)
+function getMonthPeriod(date) {
+    const { start, end } = getCycleBounds(getMonthKey(date));
+    const day = daysBetween(start, date) + 1;
+    const length = daysBetween(start, end);
+    return day <= length / 3 ? 0 : day <= (2 * length) / 3 ? 1 : 2;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// How much busier than average each bucket is, pulled toward 1 when data is thin
+function seasonalFactors(days, bucketOf, bucketCount, average) {
+    const sums = new Array(bucketCount).fill(0);
+    const counts = new Array(bucketCount).fill(0);
+    days.forEach(d => {
+        sums[bucketOf(d.date)] += d.total;
+        counts[bucketOf(d.date)]++;
+    });
+    
+    return sums.map((sum, i) => average > 0
+        ? (sum + FACTOR_SHRINK_DAYS * average) / ((counts[i] + FACTOR_SHRINK_DAYS) * average)
+        : 1);
+}
+
+async function buildForecast(now = new Date()) {
+    const month = getMonthKey(now);
+    const { start, end } = getCycleBounds(month);
+    const daysInMonth = daysBetween(start, end);
+    const today = daysBetween(start, now) + 1;
+    const todayStart = startOfDay(now);
+    const historyStart = new Date(start.getFullYear(), start.getMonth() - FORECAST_HISTORY_MONTHS, start.getDate());
+    // Days are numbered from the start of the cycle
+    const dateOfDay = (day) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + day - 1);
+    const dayOf = (date) => daysBetween(start, date) + 1;
+    
+    const history = await db.expenses
+        .where('date').between(historyStart.toISOString(), todayStart.toISOString(), true, false)
+        .toArray();
+    const monthExpenses = await db.expenses.where('month').equals(month).toArray();
+    const committed = await getCommittedRecurring();
+    
+    // Variable spending per day, before one-offs are taken out
+    const variable = history.filter(e => e.recurringId === undefined);
+    const dailyRaw = {};
+    variable.forEach(e => {
+        const key = getDayKey(new Date(e.date));
+        dailyRaw[key] = (dailyRaw[key] || 0) + e.amount;
+    });
+    
+    const typicalDay = median(Object.values(dailyRaw).filter(total => total > 0));
+    const isSpike = (e) => typicalDay > 0 && e.amount > SPIKE_FACTOR * typicalDay;
+    
+    const daily = {};
+    let spikeTotal = 0;
+    variable.forEach(e => {
+        if (isSpike(e)) {
+            spikeTotal += e.amount;
+            return;
+        }
+        const key = getDayKey(new Date(e.date));
+        daily[key] = (daily[key] || 0) + e.amount;
+    });
+    
+    // Every day from the first record (or the history window) up to yesterday
+    const firstDate = variable.length > 0
+        ? new Date(Math.min(...variable.map(e => new Date(e.date).getTime())))
+        : todayStart;
+    const days = [];
+    for (let d = new Date(firstDate.getFullYear(), firstDate.getMonth(), firstDate.getDate()); d < todayStart; d.setDate(d.getDate() + 1)) {
+        days.push({ date: new Date(d), total: daily[getDayKey(d)] || 0 });
+    }
+    
+    const baseline = days.length > 0 ? days.reduce((sum, d) => sum + d.total, 0) / days.length : 0;
+    const variance = days.length > 1
+        ? days.reduce((sum, d) => sum + (d.total - baseline) ** 2, 0) / (days.length - 1)
+        : baseline ** 2;
+    const spread = Math.sqrt(variance);
+    const spikeRate = days.length > 0 ? spikeTotal / days.length : 0;
+    
+    const weekdayFactors = seasonalFactors(days, date => date.getDay(), 7, baseline);
+    const periodFactors = seasonalFactors(days, getMonthPeriod, 3, baseline);
+    const expectedOn = (date) => baseline * weekdayFactors[date.getDay()] * periodFactors[getMonthPeriod(date)];
+    
+    // Actual spending so far, by day of this cycle
+    const actualByDay = new Array(daysInMonth + 1).fill(0);
+    const scheduledByDay = new Array(daysInMonth + 1).fill(0);
+    monthExpenses.forEach(e => {
+        const date = new Date(e.date);
+        if (date <= now) actualByDay[dayOf(date)] += e.amount;
+        else scheduledByDay[dayOf(date)] += e.amount; // logged ahead of time
+    });
+    committed.upcoming.forEach(item => { scheduledByDay[dayOf(item.date)] += item.amount; });
+    
+    const spent = monthExpenses.reduce((sum, e) => sum + e.amount, 0);
+    const monthSpikes = monthExpenses.filter(e => e.recurringId === undefined && isSpike(e))
+        .reduce((sum, e) => sum + e.amount, 0);
+    
+    const series = [];
+    let actual = 0;
+    let projected = 0;
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+        const point = { day, date: dateOfDay(day), actual: null, projected: null, low: null, high: null };
+        
+        if (day <= today) {
+            actual += actualByDay[day];
+            point.actual = actual;
+        }
+        
+        if (day >= today) {
+            const date = point.date;
+            // Today is already partly spent; only the rest of its usual spend is still to come
+            const expected = day === today
+                ? Math.max(0, expectedOn(date) - actualByDay[day])
+                : expectedOn(date);
+            projected = (day === today ? actual : projected) + expected + scheduledByDay[day];
+            
+            const ahead = day - today + 1;
+            const margin = FORECAST_Z * spread * Math.sqrt(ahead);
+            point.projected = projected;
+            point.low = Math.max(actual + scheduledByDay.slice(today, day + 1).reduce((a, b) => a + b, 0), projected - margin);
+            point.high = projected + margin + spikeRate * ahead;
+        }
+        
+        series.push(point);
+    }
+    
+    const last = series[series.length - 1];
+    
+    return {
+        spent,
+        committed: committed.total,
+        baseline,
+        spikes: monthSpikes,
+        projected: last.projected,
+        low: last.low,
+        high: last.high,
+        series
+    };
+}
+
+// The day the projected spend crosses the budget
+function forecastRunway(forecast, budget) {
+    const remaining = budget - forecast.spent - forecast.committed;
+    
+    if (forecast.spent <= 0) return { type: 'infinite' };
+    if (remaining <= 0) return { type: 'overrun' };
+    
+    const crossing = forecast.series.find(p => p.projected !== null && p.projected > budget);
+    if (crossing) {
+        return { type: 'date', date: crossing.date };
+    }
+    
+    // Lasts the month: carry on at the baseline rate
+    if (forecast.baseline <= 0) return { type: 'infinite' };
+    const runwayDate = getMonthEnd();
+    runwayDate.setDate(runwayDate.getDate() + Math.floor((budget - forecast.projected) / forecast.baseline));
+    return { type: 'date', date: runwayDate };
+}
+
+// ===== Dashboard Update =====
+// Safe-to-spend below this turns the card red and panics the mascot
+const SAFE_SPEND_WARNING = 100;
+
+async function updateDashboard() {
+    const month = state.viewMonth;
+    const isLive = month === getCurrentMonth();
+    const spent = await getMonthlySpending(month);
+    const split = await getMonthSplit(month);
+    // A closed cycle keeps the budget it was settled against
+    const close = await getClose(month);
+    const budget = close ? { effective: close.effectiveBudget, carried: close.carriedIn } : await getBudgetFor(month);
+    
+    // Update values
+    const parkingSaved = await getParkingSavings();
+    $('#parkingSavedAmount').textContent = Math.floor(parkingSaved).toLocaleString();
+    $('#parkingSavedInfo').classList.toggle('hidden', parkingSaved <= 0);
+    
+    const tax = await getTaxTotals();
+    $('#impulseTax').textContent = formatMoney(Math.floor(tax.outstanding));
+    $('#impulseTaxDetail').textContent = tax.transferred > 0 || tax.leftover > 0
+        ? [
+            `${formatMoney(Math.floor(tax.accrued))} accrued`,
+            tax.leftover > 0 && `${formatMoney(Math.floor(tax.leftover))} leftover budget`,
+            tax.transferred > 0 && `${formatMoney(Math.floor(tax.transferred))} moved`
+        ].filter(Boolean).join(' • ')
+        : 'waiting in vault';
+    $('#budgetAmount').textContent = budget.effective.toLocaleString();
+    $('#spentAmount').textContent = Math.floor(spent).toLocaleString();
+    $('#needAmount').textContent = Math.floor(split.need).toLocaleString();
+    $('#wantAmount').textContent = Math.floor(split.want).toLocaleString();
+    await renderCashFlow(month);
+    
+    const carried = budget.carried !== 0
+        ? `↪️ ${budget.carried > 0 ? 'Carried over' : 'Deducted'} from last ${getCycleUnit().toLowerCase()}: ${formatMoney(Math.abs(Math.round(budget.carried)))}`
+        : '';
+    $('#carryInfo').textContent = close ? `📒 Closed: ${describeCloseOutcome(close)}` : carried;
+    $('#carryInfo').classList.toggle('hidden', !close && !carried);
+    
+    // Update progress bar
+    const progress = budget.effective > 0 ? (spent / budget.effective) * 100 : 0;
+    $('#budgetProgress').style.width = `${Math.min(100, progress)}%`;
+    
+    const safeCard = $('.safe-spend-card');
+    safeCard.classList.toggle('final', !isLive);
+    
+    if (isLive) {
+        const committed = await getCommittedRecurring();
+        const safeToSpend = await calculateSafeToSpend();
+        const forecast = await buildForecast();
+        const runway = forecastRunway(forecast, budget.effective);
+        
+        $('#safeToSpendLabel').textContent = 'Safe to Spend Today';
+        $('#safeToSpend').textContent = formatMoney(safeToSpend);
+        $('#runway').textContent = formatRunway(runway);
+        $('#runwayLabel').textContent = 'budget zero date';
+        $('#committedAmount').textContent = Math.floor(committed.total).toLocaleString();
+        $('#committedInfo').classList.toggle('hidden', committed.total <= 0);
+        $('#forecastInfo').innerHTML = `📈 Heading for ${formatMoney(Math.round(forecast.projected))} by month-end
+            <small>(likely ${formatMoney(Math.round(forecast.low))}–${formatMoney(Math.round(forecast.high))})</small>`;
+        $('#forecastInfo').classList.toggle('hidden', forecast.projected <= 0);
+        
+        // Warning state
+        safeCard.classList.toggle('warning', safeToSpend < SAFE_SPEND_WARNING);
+    } else {
+        // Past (or pre-logged future) months are a read-only summary
+        const isPast = month < getCurrentMonth();
+        const remaining = budget.effective - spent;
+        
+        $('#safeToSpendLabel').textContent = `${isPast ? 'Final' : 'Planned'} · ${formatMonthLabel(month)}`;
+        if (budget.effective <= 0) {
+            $('#safeToSpend').textContent = `${formatMoney(Math.floor(spent))} spent`;
+        } else if (remaining >= 0) {
+            $('#safeToSpend').textContent = `${formatMoney(Math.floor(remaining))} under`;
+        } else {
+            $('#safeToSpend').textContent = `${formatMoney(Math.ceil(-remaining))} over`;
+        }
+        $('#runway').textContent = isPast ? 'Closed' : '--';
+        $('#runwayLabel').textContent = isPast ? 'month is over' : 'not started yet';
+        $('#committedInfo').classList.add('hidden');
+        $('#forecastInfo').classList.add('hidden');
+        
+        safeCard.classList.toggle('warning', budget.effective > 0 && remaining < 0);
+    }
+    
+    await renderEnvelopes(month);
+    await updateMonthNav();
+}
+
+function formatRunway(runway) {
+    if (runway.type === 'infinite') return '∞';
+    if (runway.type === 'overrun') return 'Overrun!';
+    const options = { month: 'short', day: 'numeric' };
+    return runway.date.toLocaleDateString('en-IN', options);
+}
+
+async function renderEnvelopes(month = getCurrentMonth()) {
+    const isLive = month === getCurrentMonth();
+    const envelopes = await calculateEnvelopes(month);
+    const card = $('.envelopes-card');
+    
+    card.classList.toggle('hidden', envelopes.length === 0);
+    
+    $('#envelopeList').innerHTML = envelopes.map(env => {
+        const progress = (env.spent / env.budget) * 100;
+        const left = env.budget - env.spent;
+        const meta = isLive
+            ? `<span>${formatMoney(env.safeToSpend)}/day safe</span>
+                    <span>Runway: ${formatRunway(env.runway)}</span>`
+            : `<span>${left >= 0 ? `${formatMoney(Math.floor(left))} left over` : `${formatMoney(Math.ceil(-left))} over`}</span>`;
+        
+        return `
+            <div class="envelope-item ${env.blown ? 'blown' : ''}">
+                <div class="envelope-header">
+                    <span>${getCategoryIcon(env.category)} ${escapeHtml(env.category)}</span>
+                    <span>${formatMoney(Math.floor(env.spent))} / ${formatMoney(env.budget)}</span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${Math.min(100, progress)}%"></div>
+                </div>
+                <div class="envelope-meta">
+                    ${meta}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===== Mascot System =====
+function updateMascot(tempState = null) {
+    const mascot = $('#mascot');
+    let newState = 'zen';
+    
+    if (tempState) {
+        newState = tempState;
+        mascot.src = `assets/mascot-${tempState}.png`;
+        setTimeout(() => updateMascot(), 3000);
+        return;
+    }
+    
+    // Calculate persistent state
+    (async () => {
+        const safeToSpend = await calculateSafeToSpend();
+        const spent = await getMonthlySpending();
+        const envelopes = await calculateEnvelopes();
+        const budget = await getEffectiveBudget();
+        const ratio = budget > 0 ? (budget - spent) / budget : 1;
+        
+        if (budget > 0 && safeToSpend < SAFE_SPEND_WARNING) {
+            newState = 'panicked';
+        } else if (envelopes.some(env => env.blown)) {
+            newState = 'disappointed';
+        } else if (ratio < 0.5) {
+            newState = 'suspicious';
+        } else {
+            newState = 'zen';
+        }
+        
+        state.mascotState = newState;
+        mascot.src = `assets/mascot-${newState}.png`;
+    })();
+}
+
+// ===== Expense Management =====
+// Resolves to false when the entry was rejected, so callers can keep the form open
+async function addExpense(data) {
+    const amount = parseAmount(data.amount);
+    if (amount === null) {
+        showToast('Enter an amount above zero.');
+        return false;
+    }
+    
+    const date = data.date ? new Date(data.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        showToast('That date is not valid.');
+        return false;
+    }
+    
+    const shared = data.split ? buildSplit(amount, data.split) : null;
+    if (shared?.error) {
+        showToast(shared.error);
+        return false;
+    }
+    
+    const money = convertToHome(shared ? shared.mine : amount, data.currency);
+    if (!money) {
+        showToast(`No exchange rate set for ${data.currency}.`);
+        return false;
+    }
+    
+    const expense = {
+        ...money,
+        category: data.category,
+        description: data.description || '',
+        isWant: data.isWant,
+        date: date.toISOString(),
+        month: getMonthKey(date)
+    };
+    if (data.fromParking) expense.fromParking = true;
+    if (shared) expense.split = shared.split;
+    
+    const envelopesBefore = await calculateEnvelopes();
+    await recordExpense(expense);
+    
+    await updateDashboard();
+    await renderExpenses();
+    await updateCharts();
+    
+    // React when this expense tipped its category envelope over the limit
+    const wasBlown = envelopesBefore.some(env => env.category === expense.category && env.blown);
+    const envelopes = await calculateEnvelopes();
+    const isBlown = envelopes.some(env => env.category === expense.category && env.blown);
+    
+    if (isBlown && !wasBlown) {
+        updateMascot('panicked');
+        showToast(`${expense.category} envelope blown! ✉️`);
+    } else {
+        updateMascot(data.isWant && expense.amount > 2000 ? 'disappointed' : null);
+    }
+    
+    playSound(data.isWant ? 'crunch' : 'chime');
+    return true;
+}
+
+// Stores an expense and charges impulse tax on "Want" entries, without touching the UI
+async function recordExpense(expense) {
+    const record = expense.isWant ? { ...expense, taxRule: effectiveTaxRule(expense.category) } : expense;
+    const id = await db.expenses.add(withHomeCurrency(record));
+    await syncExpenseTax(await db.expenses.get(id));
+    return id;
+}
+
+async function updateExpense(id, data) {
+    const original = await db.expenses.get(id);
+    if (!original) return false;
+    
+    const amount = parseAmount(data.amount);
+    const date = new Date(data.date);
+    if (amount === null || Number.isNaN(date.getTime())) {
+        showToast(amount === null ? 'Enter an amount above zero.' : 'That date is not valid.');
+        return false;
+    }
+    
+    const shared = data.split ? buildSplit(amount, data.split) : null;
+    if (shared?.error) {
+        showToast(shared.error);
+        return false;
+    }
+    
+    // Keep the original rate unless the currency itself was changed
+    const keptRate = data.currency === (original.currency || state.homeCurrency) ? original.rate : null;
+    const money = convertToHome(shared ? shared.mine : amount, data.currency, keptRate);
+    if (!money) {
+        showToast(`No exchange rate set for ${data.currency}.`);
+        return false;
+    }
+    
+    const updated = {
+        ...money,
+        category: data.category,
+        description: data.description || '',
+        isWant: data.isWant,
+        date: date.toISOString(),
+        month: getMonthKey(date),
+        taxRule: data.isWant ? taxRuleFor(data.category, original) : undefined,
+        split: shared ? shared.split : undefined
+    };
+    
+    await db.expenses.update(id, updated);
+    
+    // Charge or refund only the difference in impulse tax
+    await syncExpenseTax({ ...original, ...updated });
+    
+    await updateDashboard();
+    await renderExpenses();
+    await updateCharts();
+    updateMascot();
+    showToast('Expense updated! ✏️');
+    return true;
+}
+
+async function editExpense(id) {
+    const expense = await db.expenses.get(id);
+    if (!expense) return;
+    
+    resetForm();
+    state.editingId = id;
+    
+    $('#expenseModalTitle').textContent = 'Edit Expense';
+    $('#amount').value = expense.split ? expense.split.total : (expense.originalAmount ?? expense.amount);
+    renderExpenseCurrencyOptions(expense.currency || state.homeCurrency);
+    renderSplitForm(expense.split);
+    renderCategorySelects(expense.category);
+    $('#description').value = expense.description;
+    $('#expenseDate').value = toDateTimeLocal(new Date(expense.date));
+    $('#wantToggle').checked = expense.isWant;
+    handleToggleChange();
+    
+    openModal('expenseModal');
+}
+
+function toDateTimeLocal(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Entries created in the home currency still record it, so a later
+// change of home currency knows what they were typed in
+function withHomeCurrency(expense) {
+    if (expense.currency) return expense;
+    return { ...expense, currency: state.homeCurrency, originalAmount: expense.amount, rate: 1 };
+}
+
+async function deleteExpense(id) {
+    await db.transaction('rw', db.expenses, db.taxLedger, async () => {
+        const expense = await db.expenses.get(id);
+        if (!expense) return;
+        await db.expenses.delete(id);
+        await syncExpenseTax(expense, { removed: true });
+    });
+    await updateDashboard();
+    await renderExpenses();
+    await updateCharts();
+}
+
+async function renderExpenses(month = state.viewMonth) {
+    const filters = getExpenseFilters();
+    const filtering = hasActiveFilters(filters);
+    const container = $('#expenseList');
+    
+    // Filters search the whole history; otherwise show the selected month
+    $('#expenses-panel .month-nav').classList.toggle('hidden', filtering);
+    $('#filterSummary').classList.toggle('hidden', !filtering);
+    
+    const expenses = filtering
+        ? await queryExpenses(filters)
+        : await db.expenses.where('month').equals(month).toArray();
+    sortExpenses(expenses, filters.sort);
+    
+    if (filtering) {
+        const total = expenses.reduce((sum, e) => sum + e.amount, 0);
+        $('#filterSummary').innerHTML = `${expenses.length} match${expenses.length === 1 ? '' : 'es'} • <strong>${formatMoney(Math.round(total))}</strong>`;
+    }
+    
+    if (expenses.length === 0) {
+        if (filtering) {
+            container.innerHTML = '<p class="empty-state">No expenses match these filters.</p>';
+        } else {
+            container.innerHTML = month === getCurrentMonth()
+                ? '<p class="empty-state">No expenses yet. Start tracking!</p>'
+                : `<p class="empty-state">No expenses in ${formatMonthLabel(month)}.</p>`;
+        }
+        return;
+    }
+    
+    container.innerHTML = expenses.map(e => expenseItemHtml(e, { showYear: filtering })).join('');
+}
+
+function expenseItemHtml(e, { showYear = false, actions = true } = {}) {
+    const date = new Date(e.date);
+    const dateStr = date.toLocaleDateString('en-IN', {
+        day: 'numeric', month: 'short', year: showYear ? '2-digit' : undefined
+    });
+    const timeStr = date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+    
+    return `
+        <div class="expense-item" data-id="${e.id}">
+            <div class="expense-icon">${getCategoryIcon(e.category)}</div>
+            <div class="expense-details">
+                <div class="expense-category">${escapeHtml(e.category)}</div>
+                ${e.description ? `<div class="expense-desc">${escapeHtml(e.description)}</div>` : ''}
+                <div class="expense-meta">${dateStr} • ${timeStr} • ${e.isWant ? 'Want' : 'Need'}${e.loggedBy ? ` • ${escapeHtml(e.loggedBy)}` : ''}</div>
+                ${e.split ? `<div class="expense-meta">${escapeHtml(describeSplit(e))}</div>` : ''}
+            </div>
+            <div class="expense-amount ${e.isWant ? 'want' : 'need'}">${formatExpenseAmount(e)}</div>
+            ${actions ? `
+                <button class="edit-btn" onclick="editExpense(${e.id})" aria-label="Edit">✎</button>
+                <button class="delete-btn" onclick="deleteExpense(${e.id})">×</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Foreign-currency entries show what was paid, with the home value underneath
+function formatExpenseAmount(e) {
+    if (!e.currency || e.currency === state.homeCurrency) return formatMoney(e.amount);
+    return `${formatMoney(e.originalAmount, e.currency)}<small class="home-amount">≈ ${formatMoney(Math.round(e.amount))}</small>`;
+}
+
+// ===== Search & Filters =====
+function getExpenseFilters() {
+    return {
+        search: $('#expenseSearch').value.trim().toLowerCase(),
+        category: $('#filterCategory').value,
+        type: $('#filterType').value,
+        minAmount: parseFloat($('#filterMin').value),
+        maxAmount: parseFloat($('#filterMax').value),
+        from: $('#filterFrom').value,
+        to: $('#filterTo').value,
+        sort: $('#expenseSort').value
+    };
+}
+
+function hasActiveFilters(filters) {
+    return Boolean(filters.search || filters.category || filters.type || filters.from || filters.to) ||
+        !isNaN(filters.minAmount) || !isNaN(filters.maxAmount);
+}
+
+async function queryExpenses(filters) {
+    // Narrow by the date index first, then filter the rest in a single pass
+    let collection = db.expenses.toCollection();
+    if (filters.from || filters.to) {
+        const from = filters.from ? parseLocalDate(filters.from).toISOString() : Dexie.minKey;
+        const to = filters.to ? new Date(parseLocalDate(filters.to).setHours(23, 59, 59, 999)).toISOString() : Dexie.maxKey;
+        collection = db.expenses.where('date').between(from, to, true, true);
+    }
+    
+    const terms = filters.search.split(/\s+/).filter(Boolean);
+    
+    return collection.filter(e => {
+        if (filters.category && e.category !== filters.category) return false;
+        if (filters.type === 'want' && !e.isWant) return false;
+        if (filters.type === 'need' && e.isWant) return false;
+        if (!isNaN(filters.minAmount) && e.amount < filters.minAmount) return false;
+        if (!isNaN(filters.maxAmount) && e.amount > filters.maxAmount) return false;
+        
+        const description = (e.description || '').toLowerCase();
+        return terms.every(term => description.includes(term));
+    }).toArray();
+}
+
+function sortExpenses(expenses, sort) {
+    const sorters = {
+        'date-desc': (a, b) => b.date.localeCompare(a.date),
+        'date-asc': (a, b) => a.date.localeCompare(b.date),
+        'amount-desc': (a, b) => b.amount - a.amount,
+        'amount-asc': (a, b) => a.amount - b.amount
+    };
+    return expenses.sort(sorters[sort] || sorters['date-desc']);
+}
+
+function clearExpenseFilters() {
+    $('#expenseSearch').value = '';
+    $$('#filterPanel input, #filterPanel select').forEach(input => { input.value = ''; });
+    $('#expenseSort').value = 'date-desc';
+    renderExpenses();
+}
+
+function renderFilterCategoryOptions() {
+    const selected = $('#filterCategory').value;
+    // Archived categories stay searchable
+    $('#filterCategory').innerHTML = '<option value="">All categories</option>' +
+        categoryOptionsHtml({ includeArchived: true });
+    $('#filterCategory').value = selected;
+}
+
+// ===== Income =====
+// Money coming in, kept apart from expenses. It drives the cash-flow card and
+// the hourly rate behind the "hours of your work" translation.
+const incomeSources = {
+    salary: { label: 'Salary', icon: '💼' },
+    freelance: { label: 'Freelance', icon: '🧑‍💻' },
+    refund: { label: 'Refund', icon: '↩️' },
+    other: { label: 'Other', icon: '💵' }
+};
+
+// Pay for work; refunds and gifts don't say what an hour is worth
+const earnedSources = ['salary', 'freelance'];
+const EARNINGS_HISTORY_MONTHS = 3;
+const defaultEarnings = { hoursPerMonth: 160, hourlyRate: null };
+
+async function addIncome(data) {
+    const amount = parseAmount(data.amount);
+    if (amount === null) {
+        showToast('Enter an amount above zero.');
+        return false;
+    }
+    
+    const money = convertToHome(amount, data.currency);
+    if (!money) {
+        showToast(`No exchange rate set for ${data.currency}.`);
+        return false;
+    }
+    
+    const date = data.date ? parseLocalDate(data.date) : new Date();
+    await db.income.add({
+        ...money,
+        source: data.source,
+        description: data.description || '',
+        date: date.toISOString(),
+        month: getMonthKey(date)
+    });
+    
+    await refreshHourlyRate();
+    await renderIncome();
+    await updateDashboard();
+    updateMascot('proud');
+    showToast(`${incomeSources[data.source].icon} Income logged!`);
+    return true;
+}
+
+async function deleteIncome(id) {
+    await db.income.delete(id);
+    await refreshHourlyRate();
+    await renderIncome();
+    await updateDashboard();
+}
+
+async function getMonthlyIncome(month = getCurrentMonth()) {
+    const entries = await db.income.where('month').equals(month).toArray();
+    return entries.reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+async function getCashFlow(month = getCurrentMonth()) {
+    const income = await getMonthlyIncome(month);
+    const spent = await getMonthlySpending(month);
+    const net = income - spent;
+    return { income, spent, net, savingsRate: income > 0 ? (net / income) * 100 : null };
+}
+
+// A fixed rate if one is set, otherwise average pay over the last few
+// complete months (or this month, for a fresh start) spread over working hours
+async function calculateHourlyRate() {
+    const { hoursPerMonth, hourlyRate } = state.earnings;
+    if (hourlyRate > 0) return hourlyRate;
+    if (!(hoursPerMonth > 0)) return 0;
+    
+    // Calendar months, whatever the budget cycle: hours are given per month
+    const now = new Date();
+    const current = getCalendarMonthKey(now);
+    const monthOf = (entry) => getCalendarMonthKey(new Date(entry.date));
+    const earned = (await db.income
+        .where('date').aboveOrEqual(new Date(now.getFullYear(), now.getMonth() - EARNINGS_HISTORY_MONTHS, 1).toISOString())
+        .filter(entry => earnedSources.includes(entry.source))
+        .toArray())
+        .filter(entry => monthOf(entry) <= current);
+    const past = earned.filter(entry => monthOf(entry) < current);
+    const entries = past.length > 0 ? past : earned;
+    if (entries.length === 0) return 0;
+    
+    const months = new Set(entries.map(monthOf)).size;
+    const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    return total / months / hoursPerMonth;
+}
+
+async function refreshHourlyRate() {
+    state.hourlyRate = await calculateHourlyRate();
+}
+
+async function renderCashFlow(month) {
+    const flow = await getCashFlow(month);
+    $('#incomeAmount').textContent = Math.floor(flow.income).toLocaleString();
+    $('#netCashFlow').textContent = `${flow.net < 0 ? '−' : ''}${formatMoney(Math.floor(Math.abs(flow.net)))}`;
+    $('#netCashFlow').classList.toggle('negative', flow.net < 0);
+    $('#savingsRate').textContent = flow.savingsRate === null
+        ? 'Tap to log income'
+        : `Savings rate ${Math.round(flow.savingsRate)}%`;
+}
+
+function formatWorkHours(hours) {
+    const rounded = hours < 10 ? Math.round(hours * 10) / 10 : Math.round(hours);
+    return `${rounded} hour${rounded === 1 ? '' : 's'}`;
+}
+
+async function saveEarnings(earnings) {
+    await db.settings.put({ key: 'earnings', value: earnings });
+    state.earnings = earnings;
+    await refreshHourlyRate();
+    renderEarningsSettings();
+    showToast('Work hours saved! ⏱️');
+}
+
+function renderEarningsSettings() {
+    $('#hoursPerMonth').value = state.earnings.hoursPerMonth || '';
+    $('#fixedHourlyRate').value = state.earnings.hourlyRate || '';
+    $('#hourlyRateInfo').textContent = state.hourlyRate > 0
+        ? `An hour of your work is worth about ${formatMoney(Math.round(state.hourlyRate))}.`
+        : 'Log salary or freelance income, or set a rate, to see prices in hours of work.';
+}
+
+async function renderIncome(month = state.viewMonth) {
+    const entries = await db.income.where('month').equals(month).reverse().sortBy('date');
+    const container = $('#incomeList');
+    
+    $('#incomeMonthLabel').textContent = formatMonthLabel(month);
+    if (entries.length === 0) {
+        container.innerHTML = `<p class="empty-state">No income logged for ${formatMonthLabel(month)}.</p>`;
+        return;
+    }
+    
+    container.innerHTML = entries.map(entry => {
+        const source = incomeSources[entry.source] || incomeSources.other;
+        const date = new Date(entry.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        return `
+            <div class="expense-item" data-id="${entry.id}">
+                <div class="expense-icon">${source.icon}</div>
+                <div class="expense-details">
+                    <div class="expense-category">${escapeHtml(entry.description || source.label)}</div>
+                    <div class="expense-meta">${date} • ${source.label}</div>
+                </div>
+                <div class="expense-amount income">+${formatExpenseAmount(entry)}</div>
+                <button class="delete-btn" onclick="deleteIncome(${entry.id})">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderIncomeCurrencyOptions() {
+    const codes = getAvailableCurrencies();
+    $('#incomeCurrency').innerHTML = codes.map(code => `<option value="${code}">${code}</option>`).join('');
+    $('#incomeCurrency').value = state.homeCurrency;
+    $('#incomeCurrency').classList.toggle('hidden', codes.length === 1);
+}
+
+// ===== Split Expenses =====
+// A shared bill is entered at its full total, but the expense records only my
+// share, so budgets, charts and impulse tax never see the rest. Who owes whom
+// comes from the split expenses netted against settle-ups.
+// Shares are in the bill's currency; rounding leftovers land on my share
+function computeSplit(total, { method, myValue, people }) {
+    const named = people.map(p => ({ name: p.name.trim(), value: parseFloat(p.value) || 0 }));
+    if (named.length === 0) return { error: 'Add someone to split with.' };
+    if (named.some(p => !p.name)) return { error: 'Everyone in the split needs a name.' };
+    if (new Set(named.map(p => p.name.toLowerCase())).size < named.length) {
+        return { error: 'Each person can only be in the split once.' };
+    }
+    
+    let shares;
+    if (method === 'exact') {
+        shares = named.map(p => roundMoney(p.value));
+        const sum = roundMoney((parseFloat(myValue) || 0) + shares.reduce((a, b) => a + b, 0));
+        if (Math.abs(sum - total) > 0.005) {
+            return { error: `The amounts add up to ${sum.toLocaleString()}, not ${total.toLocaleString()}.` };
+        }
+    } else {
+        const weights = method === 'shares'
+            ? [parseFloat(myValue) || 0, ...named.map(p => p.value)].map(w => Math.max(0, w))
+            : new Array(named.length + 1).fill(1);
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        if (totalWeight <= 0) return { error: 'Give someone a share.' };
+        shares = named.map((p, i) => roundMoney((total * weights[i + 1]) / totalWeight));
+    }
+    
+    const mine = roundMoney(total - shares.reduce((a, b) => a + b, 0));
+    if (mine <= 0) return { error: 'Your share must be above zero. Log money lent as a settlement instead.' };
+    return { mine, people: named.map((p, i) => ({ ...p, share: shares[i] })) };
+}
+
+// Turns the form's split into what's stored on the expense
+function buildSplit(total, split) {
+    const result = computeSplit(total, split);
+    if (result.error) return result;
+    
+    const names = result.people.map(p => p.name);
+    return {
+        mine: result.mine,
+        split: {
+            method: split.method,
+            total,
+            paidBy: names.includes(split.paidBy) ? split.paidBy : '',
+            myValue: parseFloat(split.myValue) || 0,
+            people: result.people
+        }
+    };
+}
+
+function describeSplit(e) {
+    const names = e.split.people.map(p => p.name).join(', ');
+    const total = formatMoney(e.split.total, e.currency || state.homeCurrency);
+    return e.split.paidBy
+        ? `🤝 ${e.split.paidBy} paid ${total}`
+        : `🤝 Split with ${names} (${total})`;
+}
+
+function readSplitForm() {
+    if (!$('#splitToggle').checked) return null;
+    return {
+        method: $('#splitMethod').value,
+        paidBy: $('#splitPaidBy').value,
+        myValue: $('#splitMine').value,
+        people: [...$$('#splitPeople .split-row')].map(row => ({
+            name: row.querySelector('.split-name').value,
+            value: row.querySelector('.split-value').value
+        }))
+    };
+}
+
+// What the expense in the form will cost me: my share when it's split
+function getFormAmount() {
+    const typed = parseFloat($('#amount').value) || 0;
+    const split = readSplitForm();
+    if (!split) return typed;
+    const result = computeSplit(typed, split);
+    return result.error ? typed : result.mine;
+}
+
+function splitRowHtml(person = { name: '', value: 1 }) {
+    return `
+        <div class="split-row">
+            <input type="text" class="split-name" list="knownPeople" placeholder="Name" value="${escapeHtml(person.name)}" aria-label="Name">
+            <input type="number" class="split-value" min="0" step="any" value="${person.value}" aria-label="Share">
+            <button type="button" class="delete-btn" data-action="remove" aria-label="Remove">×</button>
+        </div>
+    `;
+}
+
+function renderSplitForm(split = null) {
+    $('#splitToggle').checked = Boolean(split);
+    $('#splitMethod').value = split?.method || 'even';
+    $('#splitMine').value = split ? split.myValue : 1;
+    $('#splitPeople').innerHTML = (split?.people || [undefined]).map(p => splitRowHtml(p)).join('');
+    updateSplitSummary(split?.paidBy || '');
+}
+
+function updateSplitSummary(paidBy = $('#splitPaidBy').value) {
+    const split = readSplitForm();
+    $('#splitSection').classList.toggle('hidden', !split);
+    if (!split) return;
+    
+    $('#splitSection').dataset.method = split.method;
+    const names = split.people.map(p => p.name.trim()).filter(Boolean);
+    $('#splitPaidBy').innerHTML = '<option value="">Me</option>' +
+        names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    $('#splitPaidBy').value = names.includes(paidBy) ? paidBy : '';
+    
+    const total = parseFloat($('#amount').value) || 0;
+    const result = computeSplit(total, split);
+    const currency = $('#currency').value;
+    const summary = $('#splitSummary');
+    summary.classList.toggle('error', total > 0 && Boolean(result.error));
+    summary.textContent = total <= 0 ? 'Enter the full bill above.'
+        : result.error || [`Your share ${formatMoney(result.mine, currency)}`,
+            ...result.people.map(p => `${p.name} ${formatMoney(p.share, currency)}`)].join(' • ');
+}
+
+function handleSplitInput(e) {
+    if (e.target.dataset.action === 'remove') {
+        e.target.closest('.split-row').remove();
+        if ($$('#splitPeople .split-row').length === 0) $('#splitToggle').checked = false;
+    }
+    handleAmountChange();
+}
+
+async function renderKnownPeople() {
+    const names = Object.keys(await getBalances()).sort();
+    $('#knownPeople').innerHTML = names.map(name => `<option value="${escapeHtml(name)}">`).join('');
+}
+
+// Positive: they owe me. Negative: I owe them. In the home currency.
+// Names match regardless of case, as in the split form; the first spelling is shown.
+async function getBalances() {
+    const balances = {};
+    const spellings = {};
+    const add = (name, amount) => {
+        const key = name.trim().toLowerCase();
+        spellings[key] = spellings[key] || name.trim();
+        balances[spellings[key]] = roundMoney((balances[spellings[key]] || 0) + amount);
+    };
+    
+    const shared = await db.expenses.filter(e => Boolean(e.split)).toArray();
+    shared.forEach(e => {
+        if (e.split.paidBy) add(e.split.paidBy, -e.amount);
+        else e.split.people.forEach(p => add(p.name, p.share * (e.rate || 1)));
+    });
+    
+    const settlements = await db.settlements.toArray();
+    settlements.forEach(s => add(s.person, s.direction === 'received' ? -s.amount : s.amount));
+    
+    return balances;
+}
+
+async function addSettlement(data) {
+    const amount = parseAmount(data.amount);
+    const person = data.person.trim();
+    if (!person || amount === null) {
+        showToast(person ? 'Enter an amount above zero.' : 'Who are you settling with?');
+        return false;
+    }
+    
+    await db.settlements.add({
+        person,
+        amount,
+        direction: data.direction,
+        note: data.note || '',
+        date: new Date().toISOString()
+    });
+    
+    await renderSplits();
+    showToast(`Settled up with ${person} 🤝`);
+    return true;
+}
+
+async function deleteSettlement(id) {
+    await db.settlements.delete(id);
+    await renderSplits();
+}
+
+function settleUp(person, balance) {
+    $('#settlementPerson').value = person;
+    $('#settlementAmount').value = Math.abs(balance);
+    $('#settlementDirection').value = balance > 0 ? 'received' : 'paid';
+    $('#settlementNote').focus();
+}
+
+async function renderSplits() {
+    const balances = Object.entries(await getBalances())
+        .filter(([, amount]) => Math.abs(amount) >= 0.01)
+        .sort((a, b) => b[1] - a[1]);
+    
+    $('#balanceList').innerHTML = balances.length === 0
+        ? '<p class="empty-state">All settled up. 🤝</p>'
+        : balances.map(([person, amount]) => `
+            <div class="expense-item balance-item">
+                <div class="expense-details">
+                    <div class="expense-category">${escapeHtml(person)}</div>
+                    <div class="expense-meta">${amount > 0 ? 'owes you' : 'you owe'}</div>
+                </div>
+                <div class="expense-amount ${amount > 0 ? 'need' : 'want'}">${formatMoney(Math.abs(amount))}</div>
+                <button class="link-btn" data-person="${escapeHtml(person)}" data-balance="${amount}">Settle up</button>
+            </div>
+        `).join('');
+    
+    const settlements = await db.settlements.orderBy('date').reverse().toArray();
+    $('#settlementList').innerHTML = settlements.length === 0
+        ? '<p class="empty-state">No settlements yet.</p>'
+        : settlements.map(s => {
+            const date = new Date(s.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+            const title = s.direction === 'received' ? `${s.person} paid you` : `You paid ${s.person}`;
+            return `
+                <div class="expense-item">
+                    <div class="expense-details">
+                        <div class="expense-category">${escapeHtml(title)}</div>
+                        <div class="expense-meta">${date}${s.note ? ` • ${escapeHtml(s.note)}` : ''}</div>
+                    </div>
+                    <div class="expense-amount">${formatMoney(s.amount)}</div>
+                    <button class="delete-btn" onclick="deleteSettlement(${s.id})">×</button>
+                </div>
+            `;
+        }).join('');
+    
+    await renderKnownPeople();
+}
+
+// ===== Recurring Expenses =====
+const frequencyLabels = {
+    monthly: 'Monthly',
+    weekly: 'Weekly',
+    custom: 'Every {n} days'
+};
+
+// Occurrences are derived from the start date so month-end rules don't drift
+function getOccurrenceDate(rule, index) {
+    const start = new Date(rule.startDate);
+    
+    if (rule.frequency === 'monthly') {
+        const target = new Date(start.getFullYear(), start.getMonth() + index, 1,
+            start.getHours(), start.getMinutes());
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(start.getDate(), lastDay));
+        return target;
+    }
+    
+    const stepDays = rule.frequency === 'weekly' ? 7 : rule.interval;
+    const date = new Date(start);
+    date.setDate(date.getDate() + index * stepDays);
+    return date;
+}
+
+function getNextRecurringDate(rule) {
+    const next = getOccurrenceDate(rule, rule.posted);
+    if (rule.endDate && next > new Date(rule.endDate)) return null;
+    return next;
+}
+
+function parseLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+async function addRecurringRule(data) {
+    const amount = parseAmount(data.amount);
+    if (amount === null) {
+        showToast('Enter an amount above zero.');
+        return;
+    }
+    
+    const rule = {
+        amount,
+        category: data.category,
+        description: data.description || '',
+        isWant: data.isWant,
+        frequency: data.frequency,
+        interval: data.frequency === 'custom' ? Math.max(1, parseInt(data.interval) || 1) : null,
+        startDate: parseLocalDate(data.startDate).toISOString(),
+        endDate: data.endDate ? new Date(parseLocalDate(data.endDate).setHours(23, 59, 59, 999)).toISOString() : null,
+        posted: 0
+    };
+    rule.nextDate = getNextRecurringDate(rule)?.toISOString();
+    
+    await db.recurring.add(rule);
+    
+    const posted = await postDueRecurring();
+    await renderRecurring();
+    await updateDashboard();
+    if (posted > 0) {
+        await renderExpenses();
+        await updateCharts();
+    }
+    
+    updateMascot('proud');
+    showToast('Recurring expense saved! 🔁');
+}
+
+async function deleteRecurringRule(id) {
+    await db.recurring.delete(id);
+    await renderRecurring();
+    await updateDashboard();
+    showToast('Recurring expense stopped.');
+}
+
+// Creates every occurrence that fell due since the last launch
+async function postDueRecurring() {
+    const now = new Date();
+    const due = await db.recurring.where('nextDate').belowOrEqual(now.toISOString()).toArray();
+    let count = 0;
+    
+    for (const rule of due) {
+        let next = getNextRecurringDate(rule);
+        
+        while (next && next <= now) {
+            // Every synced device posts the same occurrence under the same uid
+            const uid = `${rule.uid}:${rule.posted}`;
+            if (await db.expenses.where('uid').equals(uid).count() === 0) {
+                await recordExpense({
+                    amount: rule.amount,
+                    category: rule.category,
+                    description: rule.description,
+                    isWant: rule.isWant,
+                    date: next.toISOString(),
+                    month: getMonthKey(next),
+                    recurringId: rule.id,
+                    uid
+                });
+                count++;
+            }
+            rule.posted++;
+            next = getNextRecurringDate(rule);
+        }
+        
+        await db.recurring.update(rule.id, {
+            posted: rule.posted,
+            nextDate: next ? next.toISOString() : undefined
+        });
+    }
+    
+    return count;
+}
+
+// Recurring amounts that will post between now and the end of the month
+async function getCommittedRecurring() {
+    const now = new Date();
+    const monthEnd = getMonthEnd();
+    const rules = await db.recurring.where('nextDate').belowOrEqual(monthEnd.toISOString()).toArray();
+    const committed = { total: 0, byCategory: {}, upcoming: [] };
+    
+    rules.forEach(rule => {
+        let index = rule.posted;
+        let date = getOccurrenceDate(rule, index);
+        
+        while (date <= monthEnd && (!rule.endDate || date <= new Date(rule.endDate))) {
+            if (date > now) {
+                committed.total += rule.amount;
+                committed.byCategory[rule.category] = (committed.byCategory[rule.category] || 0) + rule.amount;
+                committed.upcoming.push({ date, amount: rule.amount });
+            }
+            date = getOccurrenceDate(rule, ++index);
+        }
+    });
+    
+    return committed;
+}
+
+async function renderRecurring() {
+    const rules = await db.recurring.toArray();
+    const container = $('#recurringList');
+    
+    if (rules.length === 0) {
+        container.innerHTML = '<p class="empty-state">No recurring expenses yet.</p>';
+        return;
+    }
+    
+    container.innerHTML = rules.map(rule => {
+        const frequency = frequencyLabels[rule.frequency].replace('{n}', rule.interval);
+        const next = rule.nextDate
+            ? `next ${new Date(rule.nextDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`
+            : 'ended';
+        
+        return `
+            <div class="expense-item" data-id="${rule.id}">
+                <div class="expense-icon">${getCategoryIcon(rule.category)}</div>
+                <div class="expense-details">
+                    <div class="expense-category">${rule.description || rule.category}</div>
+                    <div class="expense-meta">${frequency} • ${next} • ${rule.isWant ? 'Want' : 'Need'}</div>
+                </div>
+                <div class="expense-amount ${rule.isWant ? 'want' : 'need'}">${formatMoney(rule.amount)}</div>
+                <button class="delete-btn" onclick="deleteRecurringRule(${rule.id})">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderRecurringCategoryOptions() {
+    $('#recurringCategory').innerHTML = '<option value="">Select...</option>' + categoryOptionsHtml();
+}
+
+// ===== Parking Lot (Cooling-Off Rule) =====
+const DEFAULT_COOLING_DAYS = 30;
+// Expired items wait this long for a decision before they count as skipped
+const DECISION_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parkingOutcomeLabels = {
+    bought: 'Bought',
+    skipped: 'Skipped',
+    expired: 'Expired'
+};
+
+function getCoolingDays(category) {
+    return getCategory(category)?.coolingDays || DEFAULT_COOLING_DAYS;
+}
+
+async function parkItem(data) {
+    const now = new Date();
+    const days = parseInt(data.days) || getCoolingDays(data.category);
+    const expiry = new Date(now.getTime() + days * DAY_MS);
+    const amount = parseAmount(data.amount);
+    if (amount === null) {
+        showToast('Enter an amount above zero.');
+        return false;
+    }
+    
+    // A parked split keeps its IOUs for when it's bought
+    const shared = data.split ? buildSplit(amount, data.split) : null;
+    if (shared?.error) {
+        showToast(shared.error);
+        return false;
+    }
+    
+    const money = convertToHome(shared ? shared.mine : amount, data.currency);
+    if (!money) {
+        showToast(`No exchange rate set for ${data.currency}.`);
+        return false;
+    }
+    
+    const item = {
+        amount: money.amount,
+        originalAmount: money.originalAmount,
+        currency: money.currency,
+        category: data.category,
+        description: data.description || '',
+        isWant: data.isWant ?? true,
+        parkDate: now.toISOString(),
+        expiryDate: expiry.toISOString()
+    };
+    if (shared) item.split = shared.split;
+    await db.parking.add(item);
+    
+    await renderParking();
+    updateMascot('proud');
+    showToast(`Item parked for ${days} day${days > 1 ? 's' : ''}! 🅿️`);
+    return true;
+}
+
+// Moves a parked item into the decisions history
+async function recordParkingDecision(item, outcome) {
+    const { id, uid, updatedAt, ...details } = item;
+    await db.transaction('rw', db.parking, db.parkingDecisions, async () => {
+        await db.parkingDecisions.add({ ...details, outcome, decidedAt: new Date().toISOString() });
+        await db.parking.delete(id);
+    });
+}
+
+// Items left undecided past the grace period count as not bought
+async function expireParkedItems() {
+    const cutoff = new Date(Date.now() - DECISION_GRACE_DAYS * DAY_MS).toISOString();
+    const stale = await db.parking.where('expiryDate').below(cutoff).toArray();
+    
+    for (const item of stale) {
+        await recordParkingDecision(item, 'expired');
+    }
+    
+    return stale.length;
+}
+
+// Money that stayed in the pocket because a parked item was never bought
+async function getParkingSavings() {
+    const decisions = await db.parkingDecisions.where('outcome').anyOf('skipped', 'expired').toArray();
+    return decisions.reduce((sum, d) => sum + d.amount, 0);
+}
+
+async function convertParkedToExpense(id) {
+    const item = await db.parking.get(id);
+    if (!item) return;
+    
+    // Bought now, so foreign items convert at today's rate
+    const added = await addExpense({
+        amount: item.split ? item.split.total : (item.originalAmount ?? item.amount),
+        currency: item.currency || state.homeCurrency,
+        category: item.category,
+        description: item.description,
+        // Friction rules can park Needs too; older items were always Wants
+        isWant: item.isWant ?? true,
+        fromParking: true,
+        split: item.split
+    });
+    if (!added) return;
+    
+    await recordParkingDecision(item, 'bought');
+    await renderParking();
+}
+
+function formatParkedAmount(item) {
+    if (!item.currency || item.currency === state.homeCurrency) return formatMoney(item.amount);
+    return `${formatMoney(item.originalAmount, item.currency)} (≈ ${formatMoney(Math.round(item.amount))})`;
+}
+
+async function deleteParkedItem(id) {
+    const item = await db.parking.get(id);
+    if (!item) return;
+    
+    await recordParkingDecision(item, 'skipped');
+    await renderParking();
+    await updateDashboard();
+    showToast(`Skipped! ${formatMoney(Math.round(item.amount))} stays with you 🎉`);
+}
+
+async function renderParking() {
+    const items = await db.parking.orderBy('expiryDate').toArray();
+    const container = $('#parkingList');
+    
+    await renderParkingHistory();
+    
+    if (items.length === 0) {
+        container.innerHTML = '<p class="empty-state">Parked items will appear here.</p>';
+        return;
+    }
+    
+    const now = new Date();
+    
+    container.innerHTML = items.map(item => {
+        const expiry = new Date(item.expiryDate);
+        const isDue = expiry <= now;
+        const daysLeft = Math.ceil((expiry - now) / DAY_MS);
+        const graceLeft = Math.max(0, Math.ceil((expiry.getTime() + DECISION_GRACE_DAYS * DAY_MS - now) / DAY_MS));
+        const countdown = isDue
+            ? `Decide now · auto-skips in ${graceLeft} day${graceLeft === 1 ? '' : 's'}`
+            : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`;
+        
+        return `
+            <div class="parking-item ${isDue ? 'decide' : ''}" data-id="${item.id}">
+                <div class="parking-header">
+                    <div>
+                        <strong>${escapeHtml(item.category)}</strong> - ${formatParkedAmount(item)}
+                        ${item.description ? `<br><small>${escapeHtml(item.description)}</small>` : ''}
+                        ${item.split ? `<br><small>${escapeHtml(describeSplit(item))}</small>` : ''}
+                    </div>
+                    <span class="parking-countdown">${countdown}</span>
+                </div>
+                <div class="parking-actions">
+                    <button class="btn btn-secondary" onclick="deleteParkedItem(${item.id})">${isDue ? 'Skip It' : 'Remove'}</button>
+                    <button class="btn btn-primary" onclick="convertParkedToExpense(${item.id})">${isDue ? 'Still Want It' : 'Buy Now'}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function renderParkingHistory() {
+    const decisions = await db.parkingDecisions.orderBy('decidedAt').reverse().toArray();
+    $('#parkingHistory').classList.toggle('hidden', decisions.length === 0);
+    if (decisions.length === 0) return;
+    
+    const totals = { bought: 0, skipped: 0, expired: 0 };
+    decisions.forEach(d => { totals[d.outcome] += d.amount; });
+    
+    $('#parkingSaved').textContent = formatMoney(Math.round(totals.skipped + totals.expired));
+    $('#parkingStats').innerHTML = Object.entries(parkingOutcomeLabels).map(([outcome, label]) => {
+        const count = decisions.filter(d => d.outcome === outcome).length;
+        return `<span class="${outcome}">${label}: ${count} • ${formatMoney(Math.round(totals[outcome]))}</span>`;
+    }).join('');
+    
+    $('#parkingDecisionList').innerHTML = decisions.slice(0, 20).map(d => {
+        const decided = new Date(d.decidedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        const waited = Math.max(0, Math.round((new Date(d.decidedAt) - new Date(d.parkDate)) / DAY_MS));
+        
+        return `
+            <div class="expense-item decision-item ${d.outcome}">
+                <div class="expense-icon">${getCategoryIcon(d.category)}</div>
+                <div class="expense-details">
+                    <div class="expense-category">${escapeHtml(d.description || d.category)}</div>
+                    <div class="expense-meta">${parkingOutcomeLabels[d.outcome]} ${decided} • after ${waited} day${waited === 1 ? '' : 's'}</div>
+                </div>
+                <div class="expense-amount">${formatParkedAmount(d)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===== Month Navigator =====
+async function setViewMonth(month) {
+    state.viewMonth = month;
+    await updateDashboard();
+    await renderExpenses();
+    await updatePieChart();
+}
+
+async function updateMonthNav() {
+    const month = state.viewMonth;
+    const current = getCurrentMonth();
+    // Allow stepping forward only as far as future-dated entries go
+    const hasLater = month < current || await db.expenses.where('month').above(month).count() > 0;
+    
+    $$('.month-label').forEach(label => {
+        label.textContent = month === current ? `This ${getCycleUnit()}` : formatMonthLabel(month);
+    });
+    $$('.month-nav-btn[data-shift="1"]').forEach(btn => { btn.disabled = !hasLater; });
+}
+
+// ===== Charts =====
+async function updateCharts() {
+    await updatePieChart();
+    await updateForecastChart();
+    await updateTrendCharts();
+}
+
+// Everything driven by the analytics range shares one query and one pass
+async function updateTrendCharts() {
+    const analytics = await loadAnalytics();
+    updateBarChart(analytics);
+    updateCategoryTrendChart(analytics);
+    updateWeekdayChart(analytics);
+    renderHeatmap(analytics);
+    renderTopMerchants(analytics);
+}
+
+async function updatePieChart(month = state.viewMonth) {
+    const expenses = await db.expenses.where('month').equals(month).toArray();
+    
+    const categoryTotals = {};
+    expenses.forEach(e => {
+        categoryTotals[e.category] = (categoryTotals[e.category] || 0) + e.amount;
+    });
+    
+    const labels = Object.keys(categoryTotals);
+    const data = Object.values(categoryTotals);
+    const colors = labels.map(category => getCategory(category)?.color || '#c7c7c7');
+    
+    const ctx = $('#pieChart').getContext('2d');
+    
+    if (state.charts.pie) {
+        state.charts.pie.destroy();
+    }
+    
+    state.charts.pie = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels,
+            datasets: [{
+                data,
+                backgroundColor: colors.map(color => `${color}cc`),
+                borderWidth: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: (evt, elements) => {
+                if (elements.length === 0) return;
+                const category = labels[elements[0].index];
+                drillIntoMonth(month, e => e.category === category, `${getCategoryIcon(category)} ${category}`);
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: 'rgba(255,255,255,0.7)', font: { size: 11 } }
+                }
+            }
+        }
+    });
+}
+
+const chartScales = {
+    y: {
+        beginAtZero: true,
+        ticks: { color: 'rgba(255,255,255,0.7)' },
+        grid: { color: 'rgba(255,255,255,0.1)' }
+    },
+    x: {
+        ticks: { color: 'rgba(255,255,255,0.7)' },
+        grid: { display: false }
+    }
+};
+
+function formatShortMonth(monthKey) {
+    if (!isCalendarCycle()) {
+        return getCycleBounds(monthKey).start.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    }
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-IN', { month: 'short', year: '2-digit' });
+}
+
+function updateBarChart(analytics) {
+    const { months } = analytics;
+    const ctx = $('#barChart').getContext('2d');
+    
+    if (state.charts.bar) {
+        state.charts.bar.destroy();
+    }
+    
+    state.charts.bar = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: months.map(formatShortMonth),
+            datasets: [
+                {
+                    label: 'Need',
+                    data: months.map(m => analytics.byMonth[m].need),
+                    backgroundColor: 'rgba(127, 176, 105, 0.7)',
+                    borderRadius: 4
+                },
+                {
+                    label: 'Want',
+                    data: months.map(m => analytics.byMonth[m].want),
+                    backgroundColor: 'rgba(224, 122, 95, 0.7)',
+                    borderRadius: 4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: (evt, elements) => {
+                if (elements.length === 0) return;
+                const { datasetIndex, index } = elements[0];
+                const isWant = datasetIndex === 1;
+                drillIntoMonth(months[index], e => e.isWant === isWant, `${isWant ? 'Wants' : 'Needs'} · ${formatMonthLabel(months[index])}`);
+            },
+            scales: {
+                x: { ...chartScales.x, stacked: true },
+                y: { ...chartScales.y, stacked: true }
+            },
+            plugins: {
+                legend: { labels: { color: 'rgba(255,255,255,0.7)' } },
+                tooltip: {
+                    callbacks: {
+                        footer: (items) => {
+                            const { need, want } = analytics.byMonth[months[items[0].dataIndex]];
+                            return need + want > 0 ? `Wants: ${Math.round((want / (need + want)) * 100)}%` : '';
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+async function updateForecastChart() {
+    const forecast = await buildForecast();
+    const { series } = forecast;
+    const band = { borderColor: 'transparent', pointRadius: 0, tension: 0.2 };
+    
+    const datasets = [
+        {
+            label: 'Actual',
+            data: series.map(p => p.actual),
+            borderColor: 'rgba(127, 176, 105, 1)',
+            backgroundColor: 'rgba(127, 176, 105, 1)',
+            pointRadius: 0,
+            tension: 0.2
+        },
+        {
+            label: 'Projected',
+            data: series.map(p => p.projected),
+            borderColor: 'rgba(224, 122, 95, 1)',
+            backgroundColor: 'rgba(224, 122, 95, 1)',
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0.2
+        },
+        { ...band, label: 'Likely high', data: series.map(p => p.high), backgroundColor: 'rgba(224, 122, 95, 0.15)', fill: '+1' },
+        { ...band, label: 'Likely low', data: series.map(p => p.low) }
+    ];
+    
+    const budget = await getEffectiveBudget();
+    if (budget > 0) {
+        datasets.push({
+            label: 'Budget',
+            data: series.map(() => budget),
+            borderColor: 'rgba(255, 255, 255, 0.35)',
+            backgroundColor: 'rgba(255, 255, 255, 0.35)',
+            borderDash: [2, 4],
+            pointRadius: 0
+        });
+    }
+    
+    const ctx = $('#forecastChart').getContext('2d');
+    
+    if (state.charts.forecast) {
+        state.charts.forecast.destroy();
+    }
+    
+    state.charts.forecast = new Chart(ctx, {
+        type: 'line',
+        data: { labels: series.map(p => p.date.getDate()), datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: { color: 'rgba(255,255,255,0.7)' },
+                    grid: { color: 'rgba(255,255,255,0.1)' }
+                },
+                x: {
+                    ticks: { color: 'rgba(255,255,255,0.7)', maxTicksLimit: 10 },
+                    grid: { display: false }
+                }
+            },
+            plugins: {
+                legend: {
+                    labels: {
+                        color: 'rgba(255,255,255,0.7)',
+                        filter: (item) => !item.text.startsWith('Likely')
+                    }
+                }
+            }
+        }
+    });
+    
+    const spikes = forecast.spikes > 0
+        ? ` • ${formatMoney(Math.round(forecast.spikes))} in one-off spikes left out of the trend`
+        : '';
+    $('#forecastSummary').textContent = forecast.projected > 0
+        ? `Projected ${formatMoney(Math.round(forecast.projected))}, likely ${formatMoney(Math.round(forecast.low))}–${formatMoney(Math.round(forecast.high))}${spikes}`
+        : 'Log a few expenses to see a forecast.';
+}
+
+// ===== Analytics =====
+const analyticsRanges = {
+    3: 'Last 3 months',
+    6: 'Last 6 months',
+    12: 'Last 12 months',
+    24: 'Last 2 years',
+    all: 'All time'
+};
+const HEATMAP_WEEKS = 53;
+const TOP_MERCHANTS = 8;
+const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function getAnalyticsRange(key = state.analyticsRange) {
+    const now = new Date();
+    const to = getMonthEnd();
+    let from;
+    
+    if (key === 'all') {
+        const first = await db.expenses.orderBy('date').first();
+        from = getCycleStart(first ? new Date(first.date) : now);
+    } else {
+        from = getCycleStart(new Date(now.getFullYear(), now.getMonth() - Number(key) + 1, isCalendarCycle() ? 1 : now.getDate()));
+    }
+    
+    const months = [];
+    for (let month = getMonthKey(from); month <= getMonthKey(to); month = shiftMonth(month, 1)) {
+        months.push(month);
+    }
+    
+    return { from, to, months };
+}
+
+// Normalises descriptions so "Swiggy", "swiggy " and "SWIGGY" count as one merchant
+function merchantKey(description) {
+    return (description || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+async function loadAnalytics() {
+    const range = await getAnalyticsRange();
+    const expenses = await db.expenses
+        .where('date').between(range.from.toISOString(), range.to.toISOString(), true, true)
+        .toArray();
+    
+    const byMonth = Object.fromEntries(range.months.map(m => [m, { need: 0, want: 0, categories: {} }]));
+    const byDay = {};
+    const weekdayTotals = new Array(7).fill(0);
+    const merchants = {};
+    const categoryTotals = {};
+    
+    expenses.forEach(e => {
+        const date = new Date(e.date);
+        const month = byMonth[e.month];
+        if (month) {
+            month[e.isWant ? 'want' : 'need'] += e.amount;
+            month.categories[e.category] = (month.categories[e.category] || 0) + e.amount;
+        }
+        
+        const day = getDayKey(date);
+        byDay[day] = (byDay[day] || 0) + e.amount;
+        weekdayTotals[date.getDay()] += e.amount;
+        categoryTotals[e.category] = (categoryTotals[e.category] || 0) + e.amount;
+        
+        const key = merchantKey(e.description);
+        if (key) {
+            merchants[key] = merchants[key] || { key, label: e.description.trim(), total: 0, count: 0 };
+            merchants[key].total += e.amount;
+            merchants[key].count++;
+        }
+    });
+    
+    // Averages divide by how many of each weekday the range has seen so far
+    const weekdayCounts = new Array(7).fill(0);
+    const lastDay = new Date(Math.min(Date.now(), range.to.getTime()));
+    for (const d = new Date(range.from); d <= lastDay; d.setDate(d.getDate() + 1)) {
+        weekdayCounts[d.getDay()]++;
+    }
+    
+    return {
+        range,
+        months: range.months,
+        byMonth,
+        byDay,
+        weekdayAverages: weekdayTotals.map((total, i) => weekdayCounts[i] ? total / weekdayCounts[i] : 0),
+        merchants: Object.values(merchants).sort((a, b) => b.total - a.total),
+        categories: Object.keys(categoryTotals).sort((a, b) => categoryTotals[b] - categoryTotals[a])
+    };
+}
+
+function updateCategoryTrendChart(analytics) {
+    const { months } = analytics;
+    const ctx = $('#trendChart').getContext('2d');
+    
+    if (state.charts.trend) {
+        state.charts.trend.destroy();
+    }
+    
+    state.charts.trend = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: months.map(formatShortMonth),
+            datasets: analytics.categories.map(category => {
+                const color = getCategory(category)?.color || '#c7c7c7';
+                return {
+                    label: category,
+                    data: months.map(m => analytics.byMonth[m].categories[category] || 0),
+                    borderColor: color,
+                    backgroundColor: color,
+                    tension: 0.3,
+                    pointRadius: 3
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: (evt, elements) => {
+                if (elements.length === 0) return;
+                const { datasetIndex, index } = elements[0];
+                const category = analytics.categories[datasetIndex];
+                drillIntoMonth(months[index], e => e.category === category, `${getCategoryIcon(category)} ${category} · ${formatMonthLabel(months[index])}`);
+            },
+            scales: chartScales,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: 'rgba(255,255,255,0.7)', font: { size: 11 }, boxWidth: 12 }
+                }
+            }
+        }
+    });
+}
+
+function updateWeekdayChart(analytics) {
+    const ctx = $('#weekdayChart').getContext('2d');
+    
+    if (state.charts.weekday) {
+        state.charts.weekday.destroy();
+    }
+    
+    state.charts.weekday = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: weekdayNames,
+            datasets: [{
+                label: 'Average spend',
+                data: analytics.weekdayAverages.map(Math.round),
+                backgroundColor: 'rgba(127, 176, 105, 0.6)',
+                borderColor: 'rgba(127, 176, 105, 1)',
+                borderWidth: 1,
+                borderRadius: 6
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            onClick: (evt, elements) => {
+                if (elements.length === 0) return;
+                const weekday = elements[0].index;
+                drillIntoRange(analytics.range, e => new Date(e.date).getDay() === weekday, `Every ${weekdayNames[weekday]}`);
+            },
+            scales: chartScales,
+            plugins: { legend: { display: false } }
+        }
+    });
+}
+
+// GitHub-style calendar of daily totals, capped to the most recent year
+function renderHeatmap(analytics) {
+    const today = new Date();
+    const end = new Date(Math.min(today.getTime(), analytics.range.to.getTime()));
+    const earliest = new Date(end.getFullYear(), end.getMonth(), end.getDate() - HEATMAP_WEEKS * 7 + 1);
+    const from = analytics.range.from > earliest ? new Date(analytics.range.from) : earliest;
+    // Start on a Sunday so each column is one week
+    from.setDate(from.getDate() - from.getDay());
+    
+    const totals = Object.values(analytics.byDay).filter(total => total > 0).sort((a, b) => a - b);
+    const quantile = (q) => totals[Math.floor((totals.length - 1) * q)] || 0;
+    const thresholds = [quantile(0.25), quantile(0.5), quantile(0.75)];
+    
+    const cells = [];
+    for (const d = new Date(from); d <= end; d.setDate(d.getDate() + 1)) {
+        const key = getDayKey(d);
+        const total = analytics.byDay[key] || 0;
+        const level = total <= 0 ? 0 : 1 + thresholds.filter(t => total > t).length;
+        const label = `${d.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}: ${formatMoney(Math.round(total))}`;
+        cells.push(`<button class="heatmap-cell level-${level}" title="${label}" aria-label="${label}" ${total > 0 ? `onclick="drillIntoDay('${key}')"` : 'disabled'}></button>`);
+    }
+    
+    $('#heatmap').innerHTML = cells.join('');
+}
+
+function renderTopMerchants(analytics) {
+    state.topMerchants = analytics.merchants.slice(0, TOP_MERCHANTS);
+    const container = $('#topMerchants');
+    
+    if (state.topMerchants.length === 0) {
+        container.innerHTML = '<p class="empty-state">Add descriptions to your expenses to see where the money goes.</p>';
+        return;
+    }
+    
+    const top = state.topMerchants[0].total;
+    container.innerHTML = state.topMerchants.map((m, i) => `
+        <button class="merchant-row" onclick="drillIntoMerchant(${i})">
+            <span class="merchant-name">${escapeHtml(m.label)}</span>
+            <span class="merchant-meta">${m.count}× • ${formatMoney(Math.round(m.total))}</span>
+            <span class="merchant-bar" style="width: ${(m.total / top) * 100}%"></span>
+        </button>
+    `).join('');
+}
+
+async function setAnalyticsRange(key) {
+    state.analyticsRange = key;
+    await updateTrendCharts();
+}
+
+// ===== Drill-down =====
+function showDrilldown(title, expenses) {
+    expenses.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const total = expenses.reduce((sum, e) => sum + e.amount, 0);
+    
+    $('#drilldownTitle').textContent = title;
+    $('#drilldownSummary').innerHTML = `${expenses.length} expense${expenses.length === 1 ? '' : 's'} • <strong>${formatMoney(Math.round(total))}</strong>`;
+    $('#drilldownList').innerHTML = expenses.length > 0
+        ? expenses.map(e => expenseItemHtml(e, { showYear: true, actions: false })).join('')
+        : '<p class="empty-state">Nothing here.</p>';
+    openModal('drilldownModal');
+}
+
+async function drillIntoMonth(month, predicate, title) {
+    const expenses = await db.expenses.where('month').equals(month).filter(predicate).toArray();
+    showDrilldown(title, expenses);
+}
+
+async function drillIntoRange(range, predicate, title) {
+    const expenses = await db.expenses
+        .where('date').between(range.from.toISOString(), range.to.toISOString(), true, true)
+        .filter(predicate)
+        .toArray();
+    showDrilldown(title, expenses);
+}
+
+async function drillIntoDay(dayKey) {
+    const day = parseLocalDate(dayKey);
+    const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    const title = day.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    await drillIntoRange({ from: day, to: new Date(next - 1) }, () => true, title);
+}
+
+async function drillIntoMerchant(index) {
+    const merchant = state.topMerchants[index];
+    if (!merchant) return;
+    const range = await getAnalyticsRange();
+    await drillIntoRange(range, e => merchantKey(e.description) === merchant.key, merchant.label);
+}
+
+function openTab(tab) {
+    const btn = $(`.tab-btn[data-tab="${tab}"]`);
+    if (!btn) return;
+    
+    $$('.tab-btn').forEach(b => b.classList.remove('active'));
+    $$('.tab-panel').forEach(p => p.classList.remove('active'));
+    btn.classList.add('active');
+    $(`#${tab}-panel`).classList.add('active');
+}
+
+// ===== Event Listeners =====
+function setupEventListeners() {
+    // Tab Navigation
+    $$('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => openTab(btn.dataset.tab));
+    });
+    
+    // Analytics
+    $('#analyticsRange').innerHTML = Object.entries(analyticsRanges)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    $('#analyticsRange').value = state.analyticsRange;
+    $('#analyticsRange').addEventListener('change', (e) => setAnalyticsRange(e.target.value));
+    $('#closeDrilldown').addEventListener('click', () => closeModal('drilldownModal'));
+    
+    // Search & Filters
+    renderFilterCategoryOptions();
+    $('#expenseSearch').addEventListener('input', () => renderExpenses());
+    $$('#filterPanel input, #filterPanel select, #expenseSort').forEach(input => {
+        input.addEventListener('change', () => renderExpenses());
+    });
+    $('#filterToggle').addEventListener('click', () => {
+        $('#filterPanel').classList.toggle('hidden');
+    });
+    $('#clearFilters').addEventListener('click', clearExpenseFilters);
+    
+    // Month Navigator
+    $$('.month-nav-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setViewMonth(shiftMonth(state.viewMonth, parseInt(btn.dataset.shift)));
+        });
+    });
+    $$('.month-label').forEach(label => {
+        label.addEventListener('click', () => setViewMonth(getCurrentMonth()));
+    });
+    
+    // Modal Controls
+    $('#addExpenseBtn').addEventListener('click', () => {
+        if (state.editingId !== null) resetForm();
+        $('#expenseDate').value = toDateTimeLocal(new Date());
+        openModal('expenseModal');
+    });
+    $('#closeModal').addEventListener('click', () => {
+        closeModal('expenseModal');
+        if (state.editingId !== null) resetForm();
+    });
+    $('#settingsBtn').addEventListener('click', () => openModal('settingsModal'));
+    $('#closeSettings').addEventListener('click', () => closeModal('settingsModal'));
+    
+    // Close modals on overlay click
+    $$('.modal-overlay').forEach(overlay => {
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeModal(overlay.id);
+        });
+    });
+    
+    // Need/Want Toggle
+    $('#wantToggle').addEventListener('change', handleToggleChange);
+    
+    // New expenses start with the category's default Need/Want
+    $('#category').addEventListener('change', () => {
+        const category = getCategory($('#category').value);
+        $('#parkDays').value = getCoolingDays($('#category').value);
+        if (category && state.editingId === null) {
+            $('#wantToggle').checked = Boolean(category.isWant);
+            handleToggleChange();
+        }
+    });
+    
+    // Categories
+    $('#categoriesBtn').addEventListener('click', () => {
+        renderCategoryManager();
+        openModal('categoriesModal');
+    });
+    $('#closeCategories').addEventListener('click', () => closeModal('categoriesModal'));
+    $('#categoryManagerList').addEventListener('click', handleCategoryManagerAction);
+    $('#categoryManagerList').addEventListener('change', handleCategoryManagerAction);
+    $('#newCategoryForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addCategory({
+            icon: $('#newCategoryIcon').value.trim(),
+            name: $('#newCategoryName').value,
+            color: $('#newCategoryColor').value,
+            isWant: $('#newCategoryWant').checked
+        });
+        $('#newCategoryForm').reset();
+    });
+    
+    // Amount Input - Lunch Translator
+    $('#amount').addEventListener('input', handleAmountChange);
+    
+    // Save Button - Hold for Want
+    const saveBtn = $('#saveBtn');
+    saveBtn.addEventListener('mousedown', startHold);
+    saveBtn.addEventListener('touchstart', startHold, { passive: true });
+    saveBtn.addEventListener('mouseup', endHold);
+    saveBtn.addEventListener('touchend', endHold);
+    saveBtn.addEventListener('mouseleave', cancelHold);
+    
+    // Form Submit
+    $('#expenseForm').addEventListener('submit', handleFormSubmit);
+    
+    // Park Button
+    $('#parkBtn').addEventListener('click', handlePark);
+    
+    // Settings
+    $('#saveBudget').addEventListener('click', () => {
+        const amount = parseFloat($('#monthlyBudget').value) || 0;
+        saveBudget(amount);
+    });
+    
+    $('#cycleType').addEventListener('change', showCycleFields);
+    $('#cycleStartDay').addEventListener('input', showCycleFields);
+    $('#cycleAnchor').addEventListener('change', showCycleFields);
+    $('#saveCycle').addEventListener('click', () => saveBudgetCycle(readBudgetCycleSettings()));
+    
+    $('#saveCategoryBudgets').addEventListener('click', () => {
+        const budgets = {};
+        $$('#categoryBudgetInputs input').forEach(input => {
+            const amount = parseFloat(input.value) || 0;
+            if (amount > 0) budgets[input.dataset.category] = amount;
+        });
+        saveCategoryBudgets(budgets);
+    });
+    
+    // Currencies
+    $('#saveCurrencies').addEventListener('click', () => {
+        const rates = {};
+        $$('#rateInputs input').forEach(input => {
+            const rate = parseFloat(input.value) || 0;
+            if (rate > 0) rates[input.dataset.currency] = rate;
+        });
+        saveCurrencySettings($('#homeCurrency').value, rates);
+    });
+    $('#currency').addEventListener('change', handleAmountChange);
+    
+    // Notifications
+    $('#saveNotifications').addEventListener('click', () => {
+        const settings = { enabled: $('#notifyEnabled').checked, nudgeTime: $('#nudgeTime').value || '20:00' };
+        $$('[data-notify]').forEach(input => { settings[input.dataset.notify] = input.checked; });
+        saveNotificationSettings(settings);
+    });
+    
+    // Impulse Tax Rule
+    $('#taxRuleType').addEventListener('change', showTaxRuleFields);
+    $('#addTaxTier').addEventListener('click', () => {
+        const tiers = readTaxRuleSettings().tiers;
+        const lastCap = tiers.filter(t => t.upTo !== null).pop()?.upTo || 0;
+        renderTaxTierInputs([...tiers, { upTo: lastCap * 2 || 1000, percent: 0 }]
+            .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity)));
+    });
+    $('#saveTaxRule').addEventListener('click', () => saveTaxRule(readTaxRuleSettings()));
+    $('#category').addEventListener('change', updateTaxPreview);
+    $('#category').addEventListener('change', updateFrictionPreview);
+    
+    // Impulse Savings
+    $('#impulseCard').addEventListener('click', async () => {
+        await renderSavings();
+        openModal('savingsModal');
+    });
+    $('#closeSavings').addEventListener('click', () => closeModal('savingsModal'));
+    $('#transferForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addTaxTransfer({
+            amount: $('#transferAmount').value,
+            goalUid: $('#transferGoal').value,
+            note: $('#transferNote').value
+        });
+        $('#transferForm').reset();
+    });
+    $('#goalForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addSavingsGoal({ name: $('#goalName').value, target: $('#goalTarget').value });
+        $('#goalForm').reset();
+    });
+    
+    // Income
+    const openIncome = async () => {
+        renderEarningsSettings();
+        await renderIncome();
+        $('#incomeDate').value = new Date().toLocaleDateString('en-CA');
+        openModal('incomeModal');
+    };
+    $('#incomeCard').addEventListener('click', openIncome);
+    $('#incomeBtn').addEventListener('click', openIncome);
+    $('#closeIncome').addEventListener('click', () => closeModal('incomeModal'));
+    $('#incomeForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const added = await addIncome({
+            amount: $('#incomeAmountInput').value,
+            currency: $('#incomeCurrency').value,
+            source: $('#incomeSource').value,
+            date: $('#incomeDate').value,
+            description: $('#incomeDescription').value.trim()
+        });
+        if (added) {
+            $('#incomeAmountInput').value = '';
+            $('#incomeDescription').value = '';
+        }
+    });
+    $('#saveEarnings').addEventListener('click', () => saveEarnings({
+        hoursPerMonth: parseFloat($('#hoursPerMonth').value) || defaultEarnings.hoursPerMonth,
+        hourlyRate: parseAmount($('#fixedHourlyRate').value)
+    }));
+    
+    // Split Expenses
+    $('#splitToggle').addEventListener('change', () => {
+        if ($('#splitToggle').checked && $$('#splitPeople .split-row').length === 0) {
+            $('#splitPeople').innerHTML = splitRowHtml();
+        }
+        handleAmountChange();
+    });
+    $('#splitMethod').addEventListener('change', handleAmountChange);
+    $('#splitMine').addEventListener('input', handleAmountChange);
+    $('#splitPeople').addEventListener('input', handleSplitInput);
+    $('#splitPeople').addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'remove') handleSplitInput(e);
+    });
+    $('#addSplitPerson').addEventListener('click', () => {
+        $('#splitPeople').insertAdjacentHTML('beforeend', splitRowHtml());
+        handleAmountChange();
+    });
+    $('#splitsBtn').addEventListener('click', async () => {
+        await renderSplits();
+        openModal('splitsModal');
+    });
+    $('#closeSplits').addEventListener('click', () => closeModal('splitsModal'));
+    $('#balanceList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-person]');
+        if (button) settleUp(button.dataset.person, parseFloat(button.dataset.balance));
+    });
+    $('#settlementForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const added = await addSettlement({
+            person: $('#settlementPerson').value,
+            amount: $('#settlementAmount').value,
+            direction: $('#settlementDirection').value,
+            note: $('#settlementNote').value.trim()
+        });
+        if (added) $('#settlementForm').reset();
+    });
+    
+    // Month-End Close
+    $('#closesBtn').addEventListener('click', async () => {
+        renderClosePolicy();
+        await renderCloses();
+        openModal('closesModal');
+    });
+    $('#closeCloses').addEventListener('click', () => closeModal('closesModal'));
+    $('#saveClosePolicy').addEventListener('click', () => saveClosePolicy({
+        leftover: $('#leftoverPolicy').value,
+        overrun: $('#overrunPolicy').value
+    }));
+    
+    // Data Health
+    $('#integrityBtn').addEventListener('click', async () => {
+        await renderIntegrityReport();
+        openModal('integrityModal');
+    });
+    $('#closeIntegrity').addEventListener('click', () => closeModal('integrityModal'));
+    $('#runIntegrityCheck').addEventListener('click', runIntegrityCheck);
+    
+    // Profiles
+    renderProfileSwitcher();
+    $('#profileSelect').addEventListener('change', (e) => {
+        if (e.target.value === 'manage') {
+            renderProfileSwitcher();
+            renderProfileManager();
+            openModal('profilesModal');
+        } else {
+            switchProfile(e.target.value);
+        }
+    });
+    $('#closeProfiles').addEventListener('click', () => closeModal('profilesModal'));
+    $('#profileManagerList').addEventListener('click', handleProfileManagerAction);
+    $('#newProfileForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addProfile({ icon: $('#newProfileIcon').value.trim(), name: $('#newProfileName').value });
+        $('#newProfileForm').reset();
+    });
+    
+    // Household Sync
+    $('#syncBtn').addEventListener('click', () => {
+        renderSyncSettings();
+        openModal('syncModal');
+    });
+    $('#closeSync').addEventListener('click', () => closeModal('syncModal'));
+    $('#newHousehold').addEventListener('click', () => {
+        $('#syncHousehold').value = generateUid();
+        showToast('New household code. Share it and the passphrase with your household.');
+    });
+    $('#syncForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveSyncSettings({
+            member: $('#syncMember').value,
+            server: $('#syncServer').value,
+            household: $('#syncHousehold').value,
+            passphrase: $('#syncPassphrase').value
+        });
+    });
+    $('#syncNow').addEventListener('click', () => syncNow());
+    $('#syncDisconnect').addEventListener('click', disconnectSync);
+    
+    // Mindful Friction
+    $('#frictionBtn').addEventListener('click', () => {
+        renderFrictionSettings();
+        $('#mealPrice').value = state.referencePrices.meal;
+        $('#coffeePrice').value = state.referencePrices.coffee;
+        openModal('frictionModal');
+    });
+    $('#closeFriction').addEventListener('click', () => closeModal('frictionModal'));
+    $('#frictionRuleList').addEventListener('click', handleFrictionRuleAction);
+    $('#frictionRuleList').addEventListener('change', handleFrictionRuleAction);
+    $('#addFrictionRule').addEventListener('click', () => {
+        renderFrictionSettings([...readFrictionSettings().rules, frictionRule()]);
+    });
+    $('#saveFriction').addEventListener('click', () => saveFrictionSettings(readFrictionSettings()));
+    
+    // Recurring Expenses
+    $('#recurringBtn').addEventListener('click', async () => {
+        renderRecurringCategoryOptions();
+        $('#recurringStart').value = new Date().toLocaleDateString('en-CA');
+        await renderRecurring();
+        openModal('recurringModal');
+    });
+    $('#closeRecurring').addEventListener('click', () => closeModal('recurringModal'));
+    $('#recurringFrequency').addEventListener('change', (e) => {
+        $('#recurringIntervalGroup').classList.toggle('hidden', e.target.value !== 'custom');
+    });
+    $('#recurringForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addRecurringRule({
+            amount: $('#recurringAmount').value,
+            category: $('#recurringCategory').value,
+            description: $('#recurringDescription').value,
+            isWant: $('#recurringWant').checked,
+            frequency: $('#recurringFrequency').value,
+            interval: $('#recurringInterval').value,
+            startDate: $('#recurringStart').value,
+            endDate: $('#recurringEnd').value
+        });
+        $('#recurringForm').reset();
+        $('#recurringIntervalGroup').classList.add('hidden');
+        $('#recurringStart').value = new Date().toLocaleDateString('en-CA');
+    });
+    
+    // Export/Import
+    $('#exportBtn').addEventListener('click', exportData);
+    $('#importBtn').addEventListener('change', importData);
+    $('#clearBtn').addEventListener('click', clearData);
+    $('#importConfirm').addEventListener('click', confirmImport);
+    
+    // Reports & Exports
+    $('#reportsBtn').addEventListener('click', () => {
+        setDefaultExportRange();
+        openModal('exportModal');
+    });
+    $('#closeExport').addEventListener('click', () => closeModal('exportModal'));
+    $('#exportCsvBtn').addEventListener('click', exportCsv);
+    $('#exportOfxBtn').addEventListener('click', exportOfx);
+    $('#exportQifBtn').addEventListener('click', exportQif);
+    $('#printReportBtn').addEventListener('click', printReport);
+    $('#importCancel').addEventListener('click', () => {
+        closeModal('importModal');
+        state.pendingImport = null;
+    });
+    
+    // CSV Statement Import
+    $('#csvImportBtn').addEventListener('change', handleCsvFile);
+    $('#csvPreviewBtn').addEventListener('click', buildCsvPreview);
+    $('#csvBack').addEventListener('click', renderCsvMapping);
+    $('#csvConfirm').addEventListener('click', confirmCsvImport);
+    $('#csvPreviewList').addEventListener('change', handleCsvPreviewChange);
+    $('#closeCsv').addEventListener('click', () => {
+        closeModal('csvModal');
+        state.csvImport = null;
+    });
+    
+    // Encrypt toggle
+    $('#encryptBackup').addEventListener('change', (e) => {
+        $('#encryptPassword').classList.toggle('hidden', !e.target.checked);
+    });
+    
+    // CPU Modal
+    $('#cpuCancel').addEventListener('click', () => {
+        closeModal('cpuModal');
+        state.pendingExpense = null;
+    });
+    
+    $('#cpuConfirm').addEventListener('click', () => {
+        closeModal('cpuModal');
+        if (state.pendingExpense) runFrictionSteps();
+    });
+    
+    // Friction Prompts
+    $('#frictionCancel').addEventListener('click', () => {
+        closeModal('frictionPromptModal');
+        state.pendingExpense = null;
+    });
+    $('#frictionContinue').addEventListener('click', () => {
+        closeModal('frictionPromptModal');
+        if (state.pendingExpense) runFrictionSteps();
+    });
+    $('#frictionPark').addEventListener('click', () => {
+        closeModal('frictionPromptModal');
+        handlePark();
+        state.pendingExpense = null;
+    });
+    
+    $('#cpuUses').addEventListener('input', updateCpuResult);
+}
+
+// ===== Modal Functions =====
+function openModal(id) {
+    $(`#${id}`).classList.add('active');
+}
+
+function closeModal(id) {
+    $(`#${id}`).classList.remove('active');
+}
+
+function resetForm() {
+    state.editingId = null;
+    renderCategorySelects();
+    $('#expenseModalTitle').textContent = 'Add Expense';
+    $('#expenseForm').reset();
+    renderExpenseCurrencyOptions();
+    $('#expenseDate').value = toDateTimeLocal(new Date());
+    $('#wantToggle').checked = false;
+    $('#parkDays').value = DEFAULT_COOLING_DAYS;
+    renderSplitForm();
+    renderKnownPeople();
+    handleToggleChange();
+    $('#lunchToast').classList.add('hidden');
+}
+
+// ===== Toggle Handler =====
+function handleToggleChange() {
+    const isWant = $('#wantToggle').checked;
+    const label = $('#toggleLabel');
+    const saveBtn = $('#saveBtn');
+    const parkBtn = $('#parkBtn');
+    
+    label.textContent = isWant ? 'Want' : 'Need';
+    label.className = `toggle-label ${isWant ? 'want' : 'need'}`;
+    
+    // Edits skip the mindful friction - the money is already spent
+    const isEditing = state.editingId !== null;
+    parkBtn.classList.toggle('hidden', !isWant || isEditing);
+    $('#parkDaysGroup').classList.toggle('hidden', !isWant || isEditing);
+    saveBtn.classList.toggle('want-mode', isWant && !isEditing);
+    
+    updateMascot(isWant ? 'suspicious' : null);
+    updateTaxPreview();
+    updateFrictionPreview();
+}
+
+// ===== Amount Change Handler (Lunch Translator) =====
+function handleAmountChange() {
+    updateSplitSummary();
+    const typed = getFormAmount();
+    const amount = convertToHome(typed, $('#currency').value)?.amount || 0;
+    const toast = $('#lunchToast');
+    
+    if (amount > TRANSLATOR_THRESHOLD) {
+        const days = Math.floor(amount / state.referencePrices.meal);
+        toast.innerHTML = `That's equivalent to <strong>${days} days</strong> of essential meals.`;
+        if (state.hourlyRate > 0) {
+            toast.innerHTML += `<br>That's <strong>${formatWorkHours(amount / state.hourlyRate)}</strong> of your work.`;
+        }
+        toast.classList.remove('hidden');
+    } else {
+        toast.classList.add('hidden');
+    }
+    
+    updateTaxPreview();
+    updateFrictionPreview();
+}
+
+// ===== Hold Button Logic =====
+function startHold(e) {
+    if (state.holdSeconds <= 0 || state.editingId !== null) return;
+    e.preventDefault();
+    
+    if (!$('#expenseForm').checkValidity()) {
+        $('#expenseForm').reportValidity();
+        return;
+    }
+    
+    state.isHolding = true;
+    state.holdProgress = 0;
+    
+    const saveBtn = $('#saveBtn');
+    const ring = $('.ring-progress');
+    
+    saveBtn.classList.add('holding');
+    $('.progress-ring').classList.remove('hidden');
+    
+    const duration = state.holdSeconds * 1000;
+    const interval = 100;
+    const increment = (100.53 / (duration / interval));
+    
+    state.holdTimeout = setInterval(() => {
+        state.holdProgress += increment;
+        const offset = 100.53 - state.holdProgress;
+        ring.style.strokeDashoffset = Math.max(0, offset);
+        
+        if (state.holdProgress >= 100.53) {
+            clearInterval(state.holdTimeout);
+            completeHold();
+        }
+    }, interval);
+}
+
+function endHold() {
+    if (!state.isHolding) return;
+    cancelHold();
+}
+
+function cancelHold() {
+    if (state.holdTimeout) {
+        clearInterval(state.holdTimeout);
+    }
+    state.isHolding = false;
+    state.holdProgress = 0;
+    
+    const saveBtn = $('#saveBtn');
+    saveBtn.classList.remove('holding');
+    $('.progress-ring').classList.add('hidden');
+    $('.ring-progress').style.strokeDashoffset = 100.53;
+}
+
+function completeHold() {
+    state.isHolding = false;
+    cancelHold();
+    processExpense($('#wantToggle').checked);
+}
+
+// ===== Form Submit Handler =====
+function handleFormSubmit(e) {
+    e.preventDefault();
+    
+    const isWant = $('#wantToggle').checked;
+    
+    if (state.editingId !== null) {
+        processExpense(isWant);
+        return;
+    }
+    
+    if (state.holdSeconds > 0) {
+        // Requires hold - do nothing on regular submit
+        return;
+    }
+    
+    processExpense(isWant);
+}
+
+// ===== Process Expense =====
+async function processExpense(isWant) {
+    const amount = parseFloat($('#amount').value);
+    const currency = $('#currency').value;
+    const category = $('#category').value;
+    const description = $('#description').value;
+    const date = $('#expenseDate').value || new Date();
+    const split = readSplitForm();
+    
+    const expenseData = { amount, currency, category, description, isWant, date, split };
+    
+    if (state.editingId !== null) {
+        if (await updateExpense(state.editingId, expenseData)) {
+            closeModal('expenseModal');
+            resetForm();
+        }
+        return;
+    }
+    
+    const share = getFormAmount();
+    const homeAmount = convertToHome(share, currency)?.amount ?? share;
+    getFriction({ amount: homeAmount, category, isWant }).then(({ steps }) => {
+        state.pendingExpense = { ...expenseData, homeAmount, steps };
+        runFrictionSteps();
+    });
+}
+
+// Works through the prompts of every matching rule, then saves
+async function runFrictionSteps() {
+    const pending = state.pendingExpense;
+    const step = pending.steps.shift();
+    
+    if (!step) {
+        state.pendingExpense = null;
+        if (await addExpense(pending)) {
+            closeModal('expenseModal');
+            resetForm();
+        }
+    } else if (step.action === 'costPerUse') {
+        showCpuModal(pending.homeAmount);
+    } else {
+        showFrictionPrompt(step);
+    }
+}
+
+function showFrictionPrompt(rule) {
+    const isPark = rule.action === 'park';
+    $('#frictionPromptTitle').textContent = isPark ? 'Cool off first? 🅿️' : rule.name;
+    $('#frictionPromptText').textContent = isPark
+        ? `Park it for ${$('#parkDays').value || getCoolingDays(state.pendingExpense.category)} days and decide with a clear head.`
+        : rule.question || 'Are you sure you want to spend this?';
+    $('#frictionPark').classList.toggle('hidden', !isPark);
+    $('#frictionContinue').textContent = isPark ? 'Buy Now Anyway' : 'Yes, Save It';
+    openModal('frictionPromptModal');
+}
+
+// ===== Cost Per Use Modal =====
+function showCpuModal(amount) {
+    $('#cpuAmount').textContent = formatMoney(amount);
+    $('#cpuUses').value = 1;
+    updateCpuResult();
+    openModal('cpuModal');
+}
+
+function updateCpuResult() {
+    const amount = state.pendingExpense?.homeAmount || 0;
+    const uses = parseInt($('#cpuUses').value) || 1;
+    const costPerUse = Math.round(amount / uses);
+    const coffees = Math.round(costPerUse / state.referencePrices.coffee);
+    
+    $('#cpuResult').innerHTML = `
+        <strong>${formatMoney(costPerUse)}</strong> per use<br>
+        <small>That's ~${coffees} expensive coffees each time!</small>
+    `;
+}
+
+// ===== Park Handler =====
+async function handlePark() {
+    if (!$('#expenseForm').checkValidity()) {
+        $('#expenseForm').reportValidity();
+        return;
+    }
+    
+    const data = {
+        amount: $('#amount').value,
+        currency: $('#currency').value,
+        category: $('#category').value,
+        description: $('#description').value,
+        days: $('#parkDays').value,
+        isWant: $('#wantToggle').checked,
+        split: readSplitForm()
+    };
+    
+    if (await parkItem(data)) {
+        closeModal('expenseModal');
+        resetForm();
+    }
+}
+
+// ===== Sound Effects =====
+function playSound(type) {
+    const sound = type === 'chime' ? $('#chimeSound') : $('#crunchSound');
+    sound.currentTime = 0;
+    sound.play().catch(() => {}); // Ignore autoplay restrictions
+}
+
+// ===== Toast Notifications =====
+function showToast(message) {
+    const container = $('#toastContainer');
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    container.appendChild(toast);
+    
+    setTimeout(() => toast.remove(), 3000);
+}
+
+// ===== Data Export/Import =====
+async function exportData() {
+    const tables = {};
+    for (const table of dataTables) {
+        tables[table] = await db.table(table).toArray();
+    }
+    
+    let data = JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        appVersion: APP_VERSION,
+        dbVersion: db.verno,
+        exportDate: new Date().toISOString(),
+        checksum: backupChecksum(tables),
+        data: tables
+    });
+    
+    // Encryption
+    if ($('#encryptBackup').checked) {
+        const password = $('#encryptPassword').value;
+        if (!password) {
+            showToast('Please enter a password');
+            return;
+        }
+        data = CryptoJS.AES.encrypt(data, password).toString();
+    }
+    
+    downloadFile(data, `zenspend_backup_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    
+    updateMascot('proud');
+    showToast('Backup created! 💾');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importData(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+        try {
+            let data = event.target.result;
+            
+            // Try to decrypt if it looks encrypted
+            if (!data.startsWith('{')) {
+                const password = prompt('Enter decryption password:');
+                if (!password) return;
+                
+                const bytes = CryptoJS.AES.decrypt(data, password);
+                data = bytes.toString(CryptoJS.enc.Utf8);
+                
+                if (!data) {
+                    showToast('Decryption failed. Wrong password?');
+                    return;
+                }
+            }
+            
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (err) {
+                showBackupErrors(['The file is not valid JSON.']);
+                return;
+            }
+            
+            const backup = validateBackup(parsed);
+            if (backup.errors.length > 0) {
+                showBackupErrors(backup.errors);
+                return;
+            }
+            
+            state.pendingImport = backup;
+            showImportOptions(backup);
+        } catch (err) {
+            showToast('Import failed. Invalid file format.');
+            console.error(err);
+        }
+    };
+    reader.readAsText(file);
+    e.target.value = ''; // Reset input
+}
+
+async function clearData() {
+    if (!confirm('Are you sure? This will delete ALL your data permanently!')) return;
+    const household = isSyncConfigured() ? ' It is also deleted on every device in your household.' : '';
+    if (!confirm(`Really? This cannot be undone!${household}`)) return;
+    
+    await db.transaction('rw', [...dataTables, 'tombstones'].map(t => db.table(t)), async () => {
+        for (const table of dataTables) {
+            await wipeTable(table);
+        }
+    });
+    
+    await loadSettings();
+    await updateDashboard();
+    await renderExpenses();
+    await renderParking();
+    await updateCharts();
+    
+    showToast('All data cleared.');
+}
+
+// ===== Data Integrity =====
+// Runs on every launch and from Settings, after the migrations. Anything that
+// can be rebuilt from the record itself is repaired in place, and every repair
+// is reported. A clean check changes nothing, so it never triggers a sync.
+const ORPHAN_CATEGORY_COLOR = '#8d99ae';
+
+function parseAmount(value) {
+    const amount = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function isValidAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+// The home amount is derived, so a broken one can often be rebuilt from what was paid
+function recoverAmount(record) {
+    if (!isValidAmount(record.originalAmount)) return 0;
+    const money = convertToHome(record.originalAmount, record.currency || state.homeCurrency, record.rate || null);
+    return money ? money.amount : 0;
+}
+
+function repairAmount(record, report) {
+    if (isValidAmount(record.amount)) return {};
+    const amount = recoverAmount(record);
+    report(`amount was ${record.amount}`, amount > 0 ? `rebuilt as ${formatMoney(amount)}` : 'set to 0, edit it to fix');
+    return { amount };
+}
+
+function repairDate(record, field, fallback, report) {
+    if (isValidDate(record[field])) return {};
+    const date = isValidDate(fallback) ? fallback : new Date().toISOString();
+    report(`${field} was unreadable`, `set to ${new Date(date).toLocaleDateString('en-IN')}`);
+    return { [field]: date };
+}
+
+// `month` must follow the (possibly just repaired) date
+function repairMonth(record, date, report) {
+    const month = getMonthKey(new Date(date));
+    if (record.month === month) return {};
+    report(`filed under ${record.month || 'no month'}`, `moved to ${formatMonthLabel(month)}`);
+    return { month };
+}
+
+// Ledger first, so expenses whose amount is rebuilt re-accrue against clean entries
+const integrityChecks = {
+    taxLedger(entry, report) {
+        if (isValidAmount(Math.abs(entry.amount))) return {};
+        report(`${taxEntryLabels[entry.type] || 'entry'} was ${entry.amount}`, 'set to 0');
+        return { amount: 0 };
+    },
+    expenses(e, report) {
+        const changes = {
+            ...repairAmount(e, report),
+            ...repairDate(e, 'date', e.updatedAt, report)
+        };
+        Object.assign(changes, repairMonth(e, changes.date || e.date, report));
+        if (typeof e.isWant !== 'boolean') {
+            report('Need/Want was unclear', e.isWant ? 'marked Want' : 'marked Need');
+            changes.isWant = Boolean(e.isWant);
+        }
+        return changes;
+    },
+    income(entry, report) {
+        const changes = {
+            ...repairAmount(entry, report),
+            ...repairDate(entry, 'date', entry.updatedAt, report)
+        };
+        return { ...changes, ...repairMonth(entry, changes.date || entry.date, report) };
+    },
+    parking(item, report) {
+        const changes = {
+            ...repairAmount(item, report),
+            ...repairDate(item, 'parkDate', item.updatedAt, report)
+        };
+        const parkDate = new Date(changes.parkDate || item.parkDate);
+        Object.assign(changes, repairDate(item, 'expiryDate',
+            new Date(parkDate.getTime() + getCoolingDays(item.category) * DAY_MS).toISOString(), report));
+        return changes;
+    },
+    recurring(rule, report) {
+        return repairAmount(rule, report);
+    },
+    settlements(entry, report) {
+        return {
+            ...repairAmount(entry, report),
+            ...repairDate(entry, 'date', entry.updatedAt, report)
+        };
+    }
+};
+
+// Tables whose records name a category
+const categorizedTables = ['expenses', 'parking', 'recurring'];
+
+async function checkIntegrity() {
+    const fixes = [];
+    const known = new Set((await db.categories.toArray()).map(c => c.name));
+    const orphaned = new Set();
+    const tables = [...Object.keys(integrityChecks), 'categories'].map(t => db.table(t));
+    
+    await db.transaction('rw', tables, async () => {
+        for (const [table, check] of Object.entries(integrityChecks)) {
+            const records = await db.table(table).toArray();
+            for (const record of records) {
+                const label = record.description || record.category || record.person || taxEntryLabels[record.type] || '';
+                const changes = check(record, (issue, fix) => fixes.push({ table, label, issue, fix }));
+                if (Object.keys(changes).length > 0) await db.table(table).update(record.id, changes);
+                if (table === 'expenses' && 'amount' in changes) await syncExpenseTax({ ...record, ...changes });
+                if (categorizedTables.includes(table) && record.category && !known.has(record.category)) {
+                    orphaned.add(record.category);
+                }
+            }
+        }
+        
+        // Bring back categories that records still point at, so history keeps its name
+        let order = await db.categories.count();
+        for (const name of orphaned) {
+            await db.categories.add({
+                name, icon: '💰', color: ORPHAN_CATEGORY_COLOR, isWant: false,
+                keywords: [], archived: false, order: order++
+            });
+            fixes.push({ table: 'categories', label: name, issue: 'used by records but missing', fix: 'category recreated' });
+        }
+    });
+    
+    const report = { checkedAt: new Date().toISOString(), fixes };
+    await db.settings.put({ key: 'integrityReport', value: report });
+    if (orphaned.size > 0) await loadCategories();
+    return report;
+}
+
+async function renderIntegrityReport() {
+    const report = (await db.settings.get('integrityReport'))?.value;
+    const container = $('#integrityList');
+    
+    if (!report) {
+        $('#integritySummary').textContent = 'Not checked yet.';
+        container.innerHTML = '';
+        return;
+    }
+    
+    const checked = new Date(report.checkedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+    $('#integritySummary').textContent = report.fixes.length === 0
+        ? `Checked ${checked}. Everything looks healthy. 🌿`
+        : `Checked ${checked}. Repaired ${report.fixes.length} problem${report.fixes.length > 1 ? 's' : ''}:`;
+    container.innerHTML = report.fixes.map(f => `
+        <div class="integrity-fix">
+            <strong>${escapeHtml(f.label || f.table)}</strong>
+            <span>${escapeHtml(f.issue)} → ${escapeHtml(f.fix)}</span>
+        </div>
+    `).join('');
+}
+
+async function runIntegrityCheck() {
+    const report = await checkIntegrity();
+    await renderIntegrityReport();
+    if (report.fixes.length > 0) {
+        await updateDashboard();
+        await renderExpenses();
+        await renderParking();
+        await updateCharts();
+    }
+}
+
+// ===== Backup Format & Validation =====
+const BACKUP_FORMAT = 'zenspend-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+
+function backupChecksum(tables) {
+    return CryptoJS.SHA256(JSON.stringify(tables)).toString();
+}
+
+// Field checks per table: each returns an error message or null
+const backupRecordChecks = {
+    expenses: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (typeof r.category !== 'string' || !r.category) return 'category is missing';
+        if (isNaN(Date.parse(r.date))) return 'date is not a valid date';
+        if (!/^\d{4}-\d{2}/.test(r.month || '')) return 'month key is missing';
+        return null;
+    },
+    income: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (!incomeSources[r.source]) return `unknown source "${r.source}"`;
+        if (isNaN(Date.parse(r.date))) return 'date is not a valid date';
+        if (!/^\d{4}-\d{2}/.test(r.month || '')) return 'month key is missing';
+        return null;
+    },
+    parking: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (isNaN(Date.parse(r.parkDate)) || isNaN(Date.parse(r.expiryDate))) return 'park or expiry date is invalid';
+        return null;
+    },
+    recurring: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (!frequencyLabels[r.frequency]) return `unknown frequency "${r.frequency}"`;
+        if (isNaN(Date.parse(r.startDate))) return 'start date is invalid';
+        return null;
+    },
+    parkingDecisions: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (!parkingOutcomeLabels[r.outcome]) return `unknown outcome "${r.outcome}"`;
+        if (isNaN(Date.parse(r.decidedAt))) return 'decision date is invalid';
+        return null;
+    },
+    categories: (r) => (typeof r.name === 'string' && r.name ? null : 'name is missing'),
+    goals: (r) => {
+        if (typeof r.name !== 'string' || !r.name) return 'name is missing';
+        if (typeof r.target !== 'number' || !(r.target > 0)) return 'target is not a positive number';
+        return null;
+    },
+    settlements: (r) => {
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (typeof r.person !== 'string' || !r.person) return 'person is missing';
+        if (!['received', 'paid'].includes(r.direction)) return `unknown direction "${r.direction}"`;
+        return null;
+    },
+    closes: (r) => {
+        if (typeof r.month !== 'string' || !/^\d{4}-\d{2}/.test(r.month)) return 'month key is missing';
+        if (typeof r.spent !== 'number' || !isFinite(r.spent)) return 'spent is not a number';
+        if (isNaN(Date.parse(r.start)) || isNaN(Date.parse(r.end))) return 'cycle dates are invalid';
+        return null;
+    },
+    taxLedger: (r) => {
+        if (!taxEntryLabels[r.type]) return `unknown entry type "${r.type}"`;
+        if (typeof r.amount !== 'number' || !isFinite(r.amount)) return 'amount is not a number';
+        if (isNaN(Date.parse(r.date))) return 'date is not a valid date';
+        return null;
+    },
+    settings: (r) => (typeof r.key === 'string' && r.key ? null : 'key is missing')
+};
+
+// Records that must also be unique by a readable field, not just by uid
+const naturalKeys = { categories: 'name', closes: 'month' };
+
+// Unversioned backups predate uids, so their records are recognised by content
+const legacyMatchKeys = {
+    expenses: ['date', 'amount', 'category', 'description'],
+    parking: ['parkDate', 'amount', 'category', 'description'],
+    recurring: ['startDate', 'amount', 'category', 'description']
+};
+
+// Accepts both the versioned envelope and the original unversioned dump.
+// Returns { data, meta, errors } where errors are readable sentences.
+function validateBackup(parsed) {
+    const errors = [];
+    
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { errors: ['The file does not contain a ZenSpend backup.'] };
+    }
+    
+    let data;
+    const meta = {
+        schemaVersion: 0,
+        appVersion: parsed.appVersion || 'unknown',
+        exportDate: parsed.exportDate
+    };
+    
+    if (parsed.format !== undefined) {
+        if (parsed.format !== BACKUP_FORMAT) {
+            return { errors: [`Unknown backup format "${parsed.format}".`] };
+        }
+        if (typeof parsed.schemaVersion !== 'number') {
+            return { errors: ['The backup has no schema version.'] };
+        }
+        if (parsed.schemaVersion > BACKUP_SCHEMA_VERSION) {
+            return { errors: [`This backup was made by a newer ZenSpend (${parsed.appVersion}). Update the app and try again.`] };
+        }
+        if (!parsed.data || typeof parsed.data !== 'object') {
+            return { errors: ['The backup has no data section.'] };
+        }
+        if (parsed.checksum !== backupChecksum(parsed.data)) {
+            return { errors: ['Checksum mismatch: the file was modified or is incomplete.'] };
+        }
+        meta.schemaVersion = parsed.schemaVersion;
+        data = parsed.data;
+    } else {
+        // Unversioned backups from before the envelope existed
+        if (!Array.isArray(parsed.expenses)) {
+            return { errors: ['The file does not contain a ZenSpend backup.'] };
+        }
+        data = parsed;
+    }
+    
+    const tables = {};
+    dataTables.forEach(table => {
+        if (data[table] === undefined) {
+            tables[table] = [];
+            return;
+        }
+        if (!Array.isArray(data[table])) {
+            errors.push(`"${table}" should be a list of records.`);
+            return;
+        }
+        const uids = new Set();
+        data[table].forEach((record, i) => {
+            let problem = record && typeof record === 'object'
+                ? backupRecordChecks[table](record)
+                : 'is not a record';
+            if (!problem && record.uid) {
+                if (uids.has(record.uid)) problem = 'duplicate record id';
+                uids.add(record.uid);
+            }
+            if (problem) errors.push(`${table} #${i + 1}: ${problem}.`);
+        });
+        tables[table] = data[table];
+    });
+    
+    return { data: tables, meta, errors };
+}
+
+function showBackupErrors(errors) {
+    const shown = errors.slice(0, 6);
+    if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more problems.`);
+    
+    $('#importTitle').textContent = 'Backup not imported';
+    $('#importSummary').innerHTML = `<ul class="import-errors">${shown.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>`;
+    $('#importModes').classList.add('hidden');
+    $('#importConfirm').classList.add('hidden');
+    openModal('importModal');
+}
+
+function showImportOptions(backup) {
+    const { data, meta } = backup;
+    const exported = meta.exportDate
+        ? new Date(meta.exportDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+        : 'an unknown date';
+    
+    $('#importTitle').textContent = 'Import Backup';
+    $('#importSummary').innerHTML = `
+        From ${exported} • app ${escapeHtml(meta.appVersion)}<br>
+        <small>${data.expenses.length} expenses • ${data.parking.length} parked • ${data.recurring.length} recurring • ${data.categories.length} categories • ${data.settings.length} settings</small>
+    `;
+    $('#importModes').classList.remove('hidden');
+    $('#importConfirm').classList.remove('hidden');
+    $('input[name="importMode"][value="newer"]').checked = true;
+    openModal('importModal');
+}
+
+async function confirmImport() {
+    const backup = state.pendingImport;
+    if (!backup) return;
+    
+    const mode = $('input[name="importMode"]:checked').value;
+    if (mode === 'replace' && !confirm('This will replace all existing data. Continue?')) return;
+    
+    try {
+        const result = await applyImport(backup.data, mode);
+        
+        state.pendingImport = null;
+        closeModal('importModal');
+        
+        await loadSettings();
+        await updateDashboard();
+        await renderExpenses();
+        await renderParking();
+        await updateCharts();
+        
+        showToast(mode === 'replace'
+            ? 'Data imported successfully! 📥'
+            : `Merged: ${result.added} added, ${result.updated} updated 📥`);
+    } catch (err) {
+        // The transaction rolled back, so the existing data is untouched
+        showToast('Import failed. Nothing was changed.');
+        console.error(err);
+    }
+}
+
+// Runs in a single transaction so a failure never leaves the DB half-written
+async function applyImport(data, mode) {
+    const result = { added: 0, updated: 0, skipped: 0 };
+    
+    // Backups from before the ledger carry a single running impulse-tax total
+    const legacyTax = data.settings.find(s => s.key === 'impulseTax');
+    
+    await db.transaction('rw', [...dataTables, 'tombstones'].map(t => db.table(t)), async () => {
+        if (mode === 'replace') {
+            for (const table of dataTables) {
+                await wipeTable(table, new Set(data[table].map(r => table === 'settings' ? r.key : r.uid)));
+                await db.table(table).bulkPut(data[table]);
+                result.added += data[table].length;
+            }
+            if (legacyTax) {
+                await db.settings.delete('impulseTax');
+                if (data.taxLedger.length === 0) {
+                    await seedTaxLedger(db.expenses, db.taxLedger, legacyTax.value || 0);
+                }
+            }
+            return;
+        }
+        
+        // Local ids differ between devices; remember where each imported rule landed
+        const recurringIds = {};
+        // Expenses kept alongside a diverged local copy get a new uid, so the
+        // imported ledger rows no longer belong to them; their tax is charged afresh
+        const copiedExpenses = new Map();
+        
+        for (const table of recordTables) {
+            for (const incoming of data[table]) {
+                const record = { ...incoming };
+                const importedId = record.id;
+                delete record.id;
+                
+                if (table === 'expenses' && record.recurringId !== undefined) {
+                    record.recurringId = recurringIds[record.recurringId];
+                }
+                // The other device may file entries under a different budget cycle
+                if (cycleKeyedTables.includes(table) && isValidDate(record.date)) {
+                    record.month = getMonthKey(new Date(record.date));
+                }
+                if (table === 'taxLedger' && copiedExpenses.has(record.expenseUid)) {
+                    result.skipped++;
+                    continue;
+                }
+                
+                const localId = await mergeRecord(table, record, mode, result);
+                if (table === 'recurring') recurringIds[importedId] = localId;
+                if (table === 'expenses' && record.uid) {
+                    const stored = await db.expenses.get(localId);
+                    if (stored.uid !== record.uid) copiedExpenses.set(record.uid, stored);
+                }
+            }
+        }
+        
+        for (const expense of copiedExpenses.values()) {
+            await syncExpenseTax(expense);
+        }
+        
+        // Settings are keyed by name, so "keep both" keeps the local value.
+        // A legacy impulse-tax total can't be merged into the local ledger.
+        for (const setting of data.settings) {
+            if (setting === legacyTax) {
+                result.skipped++;
+                continue;
+            }
+            const existing = await db.settings.get(setting.key);
+            const isNewer = (setting.updatedAt || '') > (existing?.updatedAt || '');
+            
+            if (!existing || (mode === 'newer' && isNewer)) {
+                await db.settings.put(setting);
+                result[existing ? 'updated' : 'added']++;
+            } else {
+                result.skipped++;
+            }
+        }
+    });
+    
+    // Replaced records can be stamped before the last push; send all of them next sync
+    if (mode === 'replace' && isSyncConfigured()) {
+        saveSyncConfig({ ...state.sync, lastPushedAt: '' });
+    }
+    
+    return result;
+}
+
+async function mergeRecord(table, record, mode, result) {
+    const store = db.table(table);
+    const naturalKey = naturalKeys[table];
+    let existing = record.uid ? await store.where('uid').equals(record.uid).first() : null;
+    
+    // The same category created separately on two devices is still one category
+    if (!existing && naturalKey) {
+        existing = await store.where(naturalKey).equals(record[naturalKey]).first();
+        if (existing) record = { ...record, uid: existing.uid };
+    }
+    
+    const legacyKeys = !record.uid && legacyMatchKeys[table];
+    if (!existing && legacyKeys) {
+        existing = await store.where('category').equals(record.category ?? '')
+            .filter(local => legacyKeys.every(key => (local[key] ?? '') === (record[key] ?? '')))
+            .first();
+    }
+    
+    if (!existing) {
+        result.added++;
+        return store.add(record);
+    }
+    
+    if (mode === 'newer') {
+        if ((record.updatedAt || '') > (existing.updatedAt || '')) {
+            await store.put({ ...record, id: existing.id });
+            result.updated++;
+        } else {
+            result.skipped++;
+        }
+        return existing.id;
+    }
+    
+    // Keep both: identical copies are skipped, diverged ones are added alongside
+    // (except where a readable key must stay unique - then the local copy wins)
+    const { id, ...local } = existing;
+    if (naturalKey || legacyKeys || JSON.stringify(sortKeys(local)) === JSON.stringify(sortKeys(record))) {
+        result.skipped++;
+        return existing.id;
+    }
+    
+    result.added++;
+    return store.add({ ...record, uid: generateUid() });
+}
+
+function sortKeys(obj) {
+    return Object.keys(obj).sort().reduce((sorted, key) => {
+        sorted[key] = obj[key];
+        return sorted;
+    }, {});
+}
+
+// ===== CSV Statement Import =====
+const csvColumnGuesses = {
+    date: /date/i,
+    description: /desc|narration|particular|detail|remark|merchant|payee|info/i,
+    amount: /^\s*(txn\s*|transaction\s*)?(amount|amt)/i,
+    debit: /debit|withdrawal|\bdr\b|paid out/i
+};
+
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+// Statements often start with account details, so the header is the
+// first row with every column filled in
+function splitCsvHeader(rows) {
+    const filled = (r) => r.filter(c => c !== '').length;
+    const width = Math.max(...rows.map(filled));
+    const headerIndex = rows.findIndex(r => filled(r) === width);
+    const headers = rows[headerIndex];
+    
+    return {
+        headers,
+        data: rows.slice(headerIndex + 1).filter(r => r.length >= headers.length)
+    };
+}
+
+function parseStatementAmount(value) {
+    if (!value) return NaN;
+    let text = value.replace(/[₹$€£,\s]|INR|Rs\.?/gi, '');
+    let sign = 1;
+    
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/dr$/i.test(text)) {
+        sign = -1;
+        text = text.slice(0, -2);
+    } else if (/cr$/i.test(text)) {
+        text = text.slice(0, -2);
+    }
+    
+    const amount = parseFloat(text);
+    return isNaN(amount) ? NaN : sign * amount;
+}
+
+function parseStatementDate(value, format) {
+    if (!value) return null;
+    const text = value.trim().split(/[\sT]+(?=\d{1,2}:)/)[0];
+    const parts = text.split(/[\/\-.\s,]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    
+    // Textual months: "05 Oct 2026" or "Oct 05, 2026"
+    const monthIndex = parts.findIndex(p => monthNames.includes(p.slice(0, 3).toLowerCase()));
+    if (monthIndex !== -1) {
+        const month = monthNames.indexOf(parts[monthIndex].slice(0, 3).toLowerCase());
+        const others = parts.filter((_, i) => i !== monthIndex).map(Number);
+        const [day, year] = others[0] > 31 ? [others[1], others[0]] : others;
+        return buildStatementDate(year, month, day);
+    }
+    
+    const [a, b, c] = parts.map(Number);
+    let order = format;
+    if (order === 'auto') {
+        if (parts[0].length === 4) order = 'ymd';
+        else if (b > 12) order = 'mdy';
+        else order = 'dmy';
+    }
+    
+    if (order === 'ymd') return buildStatementDate(a, b - 1, c);
+    if (order === 'mdy') return buildStatementDate(c, a - 1, b);
+    return buildStatementDate(c, b - 1, a);
+}
+
+function buildStatementDate(year, month, day) {
+    if (year < 100) year += 2000;
+    // Statements carry no time, so park entries at midday
+    const date = new Date(year, month, day, 12, 0);
+    if (isNaN(date) || date.getMonth() !== month || date.getDate() !== day) return null;
+    return date;
+}
+
+function suggestCategory(description, fallback) {
+    const text = description.toLowerCase();
+    const match = getActiveCategories().find(c =>
+        (c.keywords || []).some(keyword => text.includes(keyword))
+    );
+    return match ? match.name : fallback;
+}
+
+function getDayKey(date) {
+    return `${getCalendarMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function handleCsvFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        const { headers, data } = splitCsvHeader(parseCsv(event.target.result));
+        
+        if (!headers || data.length === 0) {
+            showToast('No rows found in that CSV.');
+            return;
+        }
+        
+        state.csvImport = { headers, data, rows: [] };
+        renderCsvMapping();
+        openModal('csvModal');
+    };
+    reader.readAsText(file);
+    e.target.value = ''; // Reset input
+}
+
+function renderCsvMapping() {
+    const { headers, data } = state.csvImport;
+    const options = '<option value="">—</option>' +
+        headers.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+    
+    Object.keys(csvColumnGuesses).forEach(field => {
+        const select = $(`#csvMap-${field}`);
+        select.innerHTML = options;
+        const guess = headers.findIndex(h => csvColumnGuesses[field].test(h));
+        select.value = guess === -1 ? '' : guess;
+    });
+    
+    $('#csvFallbackCategory').innerHTML = categoryOptionsHtml();
+    $('#csvFallbackCategory').value = getCategory('Shopping') ? 'Shopping' : getActiveCategories()[0]?.name;
+    
+    $('#csvRowCount').textContent = data.length;
+    $('#csvMappingStep').classList.remove('hidden');
+    $('#csvPreviewStep').classList.add('hidden');
 }
 
-async function updatePieChart() {
-    const month = getCurrentMonth();
-    const expenses = await db.expenses.where('month').equals(month).toArray();
+async function buildCsvPreview() {
+    const { data } = state.csvImport;
+    const column = (field) => $(`#csvMap-${field}`).value;
+    const map = {
+        date: column('date'),
+        description: column('description'),
+        amount: column('amount'),
+        debit: column('debit')
+    };
+    const format = $('#csvDateFormat').value;
+    const spendingSign = $('#csvSign').value;
+    const fallback = $('#csvFallbackCategory').value;
     
-    const categoryTotals = {};
-    expenses.forEach(e => {
-        categoryTotals[e.category] = (categoryTotals[e.category] || 0) + e.amount;
-    });
+    if (map.date === '' || (map.amount === '' && map.debit === '')) {
+        showToast('Map a date column and an amount or debit column.');
+        return;
+    }
     
-    const labels = Object.keys(categoryTotals);
-    const data = Object.values(categoryTotals);
+    const rows = [];
+    let skipped = 0;
     
-    const ctx = $('#pieChart').getContext('2d');
+    data.forEach(cells => {
+        const date = parseStatementDate(cells[map.date], format);
+        let amount;
+        
+        if (map.debit !== '') {
+            amount = Math.abs(parseStatementAmount(cells[map.debit]));
+        } else {
+            const raw = parseStatementAmount(cells[map.amount]);
+            amount = spendingSign === 'negative' ? -raw : raw;
+        }
+        
+        // Only outflows become expenses; credits and unparseable rows are skipped
+        if (!date || isNaN(amount) || amount <= 0) {
+            skipped++;
+            return;
+        }
+        
+        const description = map.description !== '' ? cells[map.description] : '';
+        const category = suggestCategory(description, fallback);
+        
+        rows.push({
+            date,
+            amount: Math.round(amount * 100) / 100,
+            description,
+            category,
+            isWant: Boolean(getCategory(category)?.isWant),
+            duplicate: false,
+            include: true
+        });
+    });
     
-    if (state.charts.pie) {
-        state.charts.pie.destroy();
+    if (rows.length === 0) {
+        showToast('No spending rows found with this mapping.');
+        return;
     }
     
-    state.charts.pie = new Chart(ctx, {
-        type: 'doughnut',
-        data: {
-            labels,
-            datasets: [{
-                data,
-                backgroundColor: [
-                    'rgba(127, 176, 105, 0.8)',
-                    'rgba(224, 122, 95, 0.8)',
-                    'rgba(19, 78, 94, 0.8)',
-                    'rgba(255, 206, 86, 0.8)',
-                    'rgba(153, 102, 255, 0.8)',
-                    'rgba(75, 192, 192, 0.8)',
-                    'rgba(255, 159, 64, 0.8)',
-                    'rgba(199, 199, 199, 0.8)'
-                ],
-                borderWidth: 0
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            plugins: {
-                legend: {
-                    position: 'bottom',
-                    labels: { color: 'rgba(255,255,255,0.7)', font: { size: 11 } }
-                }
-            }
-        }
+    await flagCsvDuplicates(rows);
+    
+    state.csvImport.rows = rows;
+    state.csvImport.skipped = skipped;
+    renderCsvPreview();
+}
+
+// Same day + same amount as an existing expense (or an earlier row) is a likely duplicate
+async function flagCsvDuplicates(rows) {
+    const dates = rows.map(r => r.date.getTime());
+    const from = new Date(Math.min(...dates));
+    const to = new Date(Math.max(...dates));
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+    
+    const existing = await db.expenses.where('date').between(from.toISOString(), to.toISOString(), true, true).toArray();
+    const seen = new Set(existing.map(e => `${getDayKey(new Date(e.date))}|${e.amount.toFixed(2)}`));
+    
+    rows.forEach(row => {
+        const key = `${getDayKey(row.date)}|${row.amount.toFixed(2)}`;
+        row.duplicate = seen.has(key);
+        row.include = !row.duplicate;
+        seen.add(key);
     });
 }
 
-async function updateBarChart() {
-    const now = new Date();
-    const months = [];
-    const totals = [];
+function renderCsvPreview() {
+    const { rows, skipped } = state.csvImport;
+    const categoryOptions = categoryOptionsHtml();
     
-    for (let i = 5; i >= 0; i--) {
-        const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
-        const monthKey = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
-        const monthLabel = d.toLocaleDateString('en-IN', { month: 'short' });
-        
-        const expenses = await db.expenses.where('month').equals(monthKey).toArray();
-        const total = expenses.reduce((sum, e) => sum + e.amount, 0);
-        
-        months.push(monthLabel);
-        totals.push(total);
-    }
+    $('#csvPreviewList').innerHTML = rows.map((row, i) => `
+        <div class="csv-row ${row.duplicate ? 'duplicate' : ''}">
+            <input type="checkbox" data-index="${i}" data-field="include" ${row.include ? 'checked' : ''}>
+            <div class="csv-row-details">
+                <div class="csv-row-top">
+                    <span>${row.date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: '2-digit' })}</span>
+                    <strong>${formatMoney(row.amount)}</strong>
+                </div>
+                <div class="expense-desc">${escapeHtml(row.description) || '—'}${row.duplicate ? ' <span class="csv-dup-badge">possible duplicate</span>' : ''}</div>
+                <div class="csv-row-controls">
+                    <select data-index="${i}" data-field="category">${categoryOptions}</select>
+                    <label><input type="checkbox" data-index="${i}" data-field="isWant" ${row.isWant ? 'checked' : ''}> Want</label>
+                </div>
+            </div>
+        </div>
+    `).join('');
     
-    const ctx = $('#barChart').getContext('2d');
+    $$('#csvPreviewList select').forEach(select => {
+        select.value = rows[select.dataset.index].category;
+    });
     
-    if (state.charts.bar) {
-        state.charts.bar.destroy();
+    const duplicates = rows.filter(r => r.duplicate).length;
+    $('#csvPreviewSummary').textContent =
+        `${rows.length} spending rows • ${duplicates} possible duplicates • ${skipped} skipped (credits or unreadable)`;
+    updateCsvConfirmButton();
+    
+    $('#csvMappingStep').classList.add('hidden');
+    $('#csvPreviewStep').classList.remove('hidden');
+}
+
+function handleCsvPreviewChange(e) {
+    const { index, field } = e.target.dataset;
+    if (index === undefined) return;
+    
+    const row = state.csvImport.rows[index];
+    row[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    updateCsvConfirmButton();
+}
+
+function updateCsvConfirmButton() {
+    const count = state.csvImport.rows.filter(r => r.include).length;
+    $('#csvConfirm').textContent = `Import ${count}`;
+    $('#csvConfirm').disabled = count === 0;
+}
+
+// Merges the selected rows into the existing expenses - nothing is replaced.
+// Statement rows are history, so they don't accrue impulse tax.
+async function confirmCsvImport() {
+    const expenses = state.csvImport.rows
+        .filter(r => r.include)
+        .map(r => ({
+            amount: r.amount,
+            category: r.category,
+            description: r.description,
+            isWant: r.isWant,
+            date: r.date.toISOString(),
+            month: getMonthKey(r.date),
+            source: 'csv'
+        }))
+        .map(withHomeCurrency);
+    
+    await db.expenses.bulkAdd(expenses);
+    
+    state.csvImport = null;
+    closeModal('csvModal');
+    
+    await updateDashboard();
+    await renderExpenses();
+    await updateCharts();
+    updateMascot('proud');
+    showToast(`Imported ${expenses.length} expenses! 🏦`);
+}
+
+// ===== Reports & Exports =====
+function getExportRange() {
+    const from = $('#exportFrom').value;
+    const to = $('#exportTo').value;
+    
+    if (!from || !to || from > to) {
+        showToast('Pick a valid date range first.');
+        return null;
     }
     
-    state.charts.bar = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: months,
-            datasets: [{
-                label: 'Spending',
-                data: totals,
-                backgroundColor: 'rgba(127, 176, 105, 0.6)',
-                borderColor: 'rgba(127, 176, 105, 1)',
-                borderWidth: 1,
-                borderRadius: 6
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: true,
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: { color: 'rgba(255,255,255,0.7)' },
-                    grid: { color: 'rgba(255,255,255,0.1)' }
-                },
-                x: {
-                    ticks: { color: 'rgba(255,255,255,0.7)' },
-                    grid: { display: false }
-                }
-            },
-            plugins: {
-                legend: { display: false }
-            }
-        }
+    return {
+        from: parseLocalDate(from),
+        to: new Date(parseLocalDate(to).setHours(23, 59, 59, 999)),
+        label: `${from}_to_${to}`
+    };
+}
+
+async function getExpensesInRange(range) {
+    return db.expenses
+        .where('date').between(range.from.toISOString(), range.to.toISOString(), true, true)
+        .sortBy('date');
+}
+
+// Text starting like a formula is quoted with ' so spreadsheets don't run it
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportCsv() {
+    const range = getExportRange();
+    if (!range) return;
+    
+    const expenses = await getExpensesInRange(range);
+    const lines = [['Date', 'Time', `Amount (${state.homeCurrency})`, 'Category', 'Need/Want', 'Description', 'Original Amount', 'Original Currency']];
+    
+    expenses.forEach(e => {
+        const date = new Date(e.date);
+        lines.push([
+            getDayKey(date),
+            date.toTimeString().slice(0, 5),
+            e.amount.toFixed(2),
+            e.category,
+            e.isWant ? 'Want' : 'Need',
+            e.description,
+            (e.originalAmount ?? e.amount).toFixed(2),
+            e.currency || state.homeCurrency
+        ]);
     });
+    
+    downloadFile(lines.map(row => row.map(csvCell).join(',')).join('\r\n'),
+        `zenspend_${range.label}.csv`, 'text/csv');
+    showToast(`Exported ${expenses.length} expenses 📄`);
 }
 
-// ===== Event Listeners =====
-function setupEventListeners() {
-    // Tab Navigation
-    $$('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            $$('.tab-btn').forEach(b => b.classList.remove('active'));
-            $$('.tab-panel').forEach(p => p.classList.remove('active'));
-            btn.classList.add('active');
-            $(`#${btn.dataset.tab}-panel`).classList.add('active');
-        });
+function ofxDate(date) {
+    return getDayKey(date).replace(/-/g, '') + date.toTimeString().slice(0, 8).replace(/:/g, '');
+}
+
+function ofxText(text) {
+    return String(text).replace(/[<>&]/g, ' ').slice(0, 32);
+}
+
+async function exportOfx() {
+    const range = getExportRange();
+    if (!range) return;
+    
+    const expenses = await getExpensesInRange(range);
+    const transactions = expenses.map(e => `<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>${ofxDate(new Date(e.date))}
+<TRNAMT>-${e.amount.toFixed(2)}
+<FITID>${e.uid}
+<NAME>${ofxText(e.description || e.category)}
+<MEMO>${ofxText(`${e.category} - ${e.isWant ? 'Want' : 'Need'}`)}
+</STMTTRN>`).join('\n');
+    
+    // OFX 1.02 (SGML) is the flavour most finance tools still import
+    const ofx = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:USASCII
+CHARSET:1252
+COMPRESSION:NONE
+OLDFILEUID:NONE
+NEWFILEUID:NONE
+
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<DTSERVER>${ofxDate(new Date())}
+<LANGUAGE>ENG
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>1
+<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<STMTRS>
+<CURDEF>${state.homeCurrency}
+<BANKACCTFROM>
+<BANKID>ZENSPEND
+<ACCTID>ZENSPEND
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${ofxDate(range.from)}
+<DTEND>${ofxDate(range.to)}
+${transactions}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>0.00
+<DTASOF>${ofxDate(range.to)}
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+    
+    downloadFile(ofx, `zenspend_${range.label}.ofx`, 'application/x-ofx');
+    showToast(`Exported ${expenses.length} expenses 📄`);
+}
+
+// Each QIF field is one line
+function qifText(text) {
+    return String(text).replace(/[\r\n]+/g, ' ');
+}
+
+async function exportQif() {
+    const range = getExportRange();
+    if (!range) return;
+    
+    const expenses = await getExpensesInRange(range);
+    const entries = expenses.map(e => {
+        const date = new Date(e.date);
+        const qifDate = `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`;
+        return [
+            `D${qifDate}`,
+            `T-${e.amount.toFixed(2)}`,
+            `P${qifText(e.description || e.category)}`,
+            `L${qifText(e.category)}`,
+            `M${e.isWant ? 'Want' : 'Need'}`,
+            '^'
+        ].join('\n');
     });
     
-    // Modal Controls
-    $('#addExpenseBtn').addEventListener('click', () => openModal('expenseModal'));
-    $('#closeModal').addEventListener('click', () => closeModal('expenseModal'));
-    $('#settingsBtn').addEventListener('click', () => openModal('settingsModal'));
-    $('#closeSettings').addEventListener('click', () => closeModal('settingsModal'));
+    downloadFile(['!Type:Cash', ...entries].join('\n') + '\n', `zenspend_${range.label}.qif`, 'application/qif');
+    showToast(`Exported ${expenses.length} expenses 📄`);
+}
+
+async function buildReport(range) {
+    const expenses = await getExpensesInRange(range);
+    const parked = await db.parking.toArray();
     
-    // Close modals on overlay click
-    $$('.modal-overlay').forEach(overlay => {
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) closeModal(overlay.id);
-        });
+    const taxEntries = await db.taxLedger.where('expenseUid').anyOf(expenses.map(e => e.uid)).toArray();
+    
+    const categoryTotals = {};
+    const months = {};
+    let total = 0;
+    let wantTotal = 0;
+    
+    expenses.forEach(e => {
+        total += e.amount;
+        categoryTotals[e.category] = (categoryTotals[e.category] || 0) + e.amount;
+        months[e.month] = (months[e.month] || 0) + e.amount;
+        if (e.isWant) wantTotal += e.amount;
     });
     
-    // Need/Want Toggle
-    $('#wantToggle').addEventListener('change', handleToggleChange);
+    const impulseTax = taxEntries.reduce((sum, entry) => sum + entry.amount, 0);
     
-    // Amount Input - Lunch Translator
-    $('#amount').addEventListener('input', handleAmountChange);
+    const boughtAfterParking = expenses.filter(e => e.fromParking);
+    const notBought = (await db.parkingDecisions
+        .where('decidedAt').between(range.from.toISOString(), range.to.toISOString(), true, true)
+        .toArray())
+        .filter(d => d.outcome !== 'bought');
     
-    // Save Button - Hold for Want
-    const saveBtn = $('#saveBtn');
-    saveBtn.addEventListener('mousedown', startHold);
-    saveBtn.addEventListener('touchstart', startHold, { passive: true });
-    saveBtn.addEventListener('mouseup', endHold);
-    saveBtn.addEventListener('touchend', endHold);
-    saveBtn.addEventListener('mouseleave', cancelHold);
+    return {
+        range,
+        total,
+        wantTotal,
+        needTotal: total - wantTotal,
+        impulseTax,
+        categories: Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]),
+        months: Object.entries(months).sort(),
+        closes: Object.fromEntries((await db.closes.where('month').anyOf(Object.keys(months)).toArray())
+            .filter(isCloseCurrent).map(c => [c.month, c])),
+        parking: {
+            waiting: parked.length,
+            waitingAmount: parked.reduce((sum, p) => sum + p.amount, 0),
+            bought: boughtAfterParking.length,
+            boughtAmount: boughtAfterParking.reduce((sum, e) => sum + e.amount, 0),
+            notBought: notBought.length,
+            notBoughtAmount: notBought.reduce((sum, d) => sum + d.amount, 0)
+        },
+        count: expenses.length
+    };
+}
+
+async function printReport() {
+    const range = getExportRange();
+    if (!range) return;
     
-    // Form Submit
-    $('#expenseForm').addEventListener('submit', handleFormSubmit);
+    const report = await buildReport(range);
+    const money = (n) => formatMoney(Math.round(n));
+    const dateLabel = (d) => d.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
     
-    // Park Button
-    $('#parkBtn').addEventListener('click', handlePark);
+    $('#printReport').innerHTML = `
+        <h1>ZenSpend Report</h1>
+        <p>${dateLabel(range.from)} – ${dateLabel(range.to)} • ${report.count} expenses</p>
+        
+        <h2>Summary</h2>
+        <table>
+            <tr><td>Total spent</td><td>${money(report.total)}</td></tr>
+            <tr><td>Needs</td><td>${money(report.needTotal)}</td></tr>
+            <tr><td>Wants</td><td>${money(report.wantTotal)}</td></tr>
+            <tr><td>Impulse tax on wants</td><td>${money(report.impulseTax)}</td></tr>
+        </table>
+        
+        <h2>Budget Adherence</h2>
+        <table>
+            <tr><th>Month</th><th>Spent</th><th>Budget</th><th>Result</th></tr>
+            ${report.months.map(([month, spent]) => {
+                const budget = report.closes[month]?.effectiveBudget ?? state.budget;
+                const diff = budget - spent;
+                const result = budget <= 0 ? '—' : diff >= 0 ? `${money(diff)} under` : `${money(-diff)} over`;
+                return `<tr><td>${formatMonthLabel(month)}</td><td>${money(spent)}</td><td>${budget > 0 ? money(budget) : '—'}</td><td>${result}</td></tr>`;
+            }).join('')}
+        </table>
+        
+        <h2>By Category</h2>
+        <table>
+            <tr><th>Category</th><th>Spent</th><th>Share</th></tr>
+            ${report.categories.map(([category, amount]) => `
+                <tr><td>${getCategoryIcon(category)} ${escapeHtml(category)}</td><td>${money(amount)}</td><td>${Math.round((amount / report.total) * 100)}%</td></tr>
+            `).join('')}
+        </table>
+        
+        <h2>Parking Lot</h2>
+        <table>
+            <tr><td>Bought after parking</td><td>${report.parking.bought} • ${money(report.parking.boughtAmount)}</td></tr>
+            <tr><td>Skipped or expired</td><td>${report.parking.notBought} • ${money(report.parking.notBoughtAmount)}</td></tr>
+            <tr><td>Still parked</td><td>${report.parking.waiting} • ${money(report.parking.waitingAmount)}</td></tr>
+        </table>
+        
+        <p class="report-footer">Generated ${dateLabel(new Date())} by ZenSpend ${APP_VERSION}</p>
+    `;
     
-    // Settings
-    $('#saveBudget').addEventListener('click', () => {
-        const amount = parseFloat($('#monthlyBudget').value) || 0;
-        saveBudget(amount);
-    });
+    window.print();
+}
+
+function setDefaultExportRange() {
+    const now = new Date();
+    $('#exportFrom').value = new Date(now.getFullYear(), now.getMonth(), 1).toLocaleDateString('en-CA');
+    $('#exportTo').value = now.toLocaleDateString('en-CA');
+}
+
+// ===== Service Worker Registration =====
+function registerServiceWorker() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('SW registered'))
+            .catch(err => console.log('SW registration failed:', err));
+        
+        // Notification taps on an already-open window
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'open-tab') openTab(e.data.tab);
+        });
+    }
+}
+
+// ===== Notifications =====
+// Local only: the page decides what is due and the service worker shows it,
+// so no push server is involved. Checks run on open, hourly and on return.
+const NOTIFY_CHECK_INTERVAL = 60 * 60 * 1000;
+const NOTIFY_LOG_DAYS = 60;
+
+const defaultNotificationSettings = {
+    enabled: false,
+    parking: true,
+    lowBalance: true,
+    dailyNudge: true,
+    nudgeTime: '20:00',
+    monthEnd: true
+};
+
+function notificationsSupported() {
+    return 'Notification' in window;
+}
+
+function notificationsAllowed() {
+    return state.notifications.enabled && notificationsSupported() && Notification.permission === 'granted';
+}
+
+function renderNotificationSettings() {
+    const prefs = state.notifications;
+    $('#notifyEnabled').checked = prefs.enabled;
+    $$('[data-notify]').forEach(input => { input.checked = prefs[input.dataset.notify]; });
+    $('#nudgeTime').value = prefs.nudgeTime;
+    $('#notificationOptions').classList.toggle('disabled', !prefs.enabled);
+}
+
+async function saveNotificationSettings(settings) {
+    const turningOn = settings.enabled && !state.notifications.enabled;
     
-    // Export/Import
-    $('#exportBtn').addEventListener('click', exportData);
-    $('#importBtn').addEventListener('change', importData);
-    $('#clearBtn').addEventListener('click', clearData);
+    if (settings.enabled && !notificationsSupported()) {
+        settings.enabled = false;
+        showToast('This browser does not support notifications.');
+    } else if (settings.enabled && Notification.permission !== 'granted') {
+        if (await Notification.requestPermission() !== 'granted') {
+            settings.enabled = false;
+            showToast('Notifications are blocked for ZenSpend in this browser.');
+        }
+    }
     
-    // Encrypt toggle
-    $('#encryptBackup').addEventListener('change', (e) => {
-        $('#encryptPassword').classList.toggle('hidden', !e.target.checked);
-    });
+    await db.settings.put({ key: 'notifications', value: settings });
+    state.notifications = settings;
+    renderNotificationSettings();
     
-    // CPU Modal
-    $('#cpuCancel').addEventListener('click', () => {
-        closeModal('cpuModal');
-        state.pendingExpense = null;
-    });
+    if (settings.enabled) {
+        // Don't greet a new opt-in with a summary of a month that ended long ago
+        if (turningOn) await markNotified([`monthEnd:${shiftMonth(getCurrentMonth(), -1)}`]);
+        showToast('Notifications saved! 🔔');
+        await checkNotifications();
+    } else if (!turningOn) {
+        showToast('Notifications saved.');
+    }
+}
+
+// Everything currently worth telling the user; each key is shown at most once
+async function getDueNotifications(now = new Date()) {
+    const prefs = state.notifications;
+    const due = [];
     
-    $('#cpuConfirm').addEventListener('click', () => {
-        closeModal('cpuModal');
-        if (state.pendingExpense) {
-            addExpense(state.pendingExpense);
-            state.pendingExpense = null;
-            closeModal('expenseModal');
-            resetForm();
+    if (prefs.parking) {
+        const ready = await db.parking.where('expiryDate').belowOrEqual(now.toISOString()).toArray();
+        ready.forEach(item => due.push({
+            key: `parking:${item.uid}`,
+            title: 'Time to decide 🅿️',
+            body: `${item.description || item.category} (${formatParkedAmount(item)}) has finished cooling off. Still want it?`,
+            tab: 'parking'
+        }));
+    }
+    
+    if (prefs.lowBalance && state.budget > 0) {
+        const safeToSpend = await calculateSafeToSpend();
+        if (safeToSpend < SAFE_SPEND_WARNING) {
+            due.push({
+                key: `lowBalance:${getDayKey(now)}`,
+                title: 'Running low 😰',
+                body: `Only ${formatMoney(safeToSpend)} is safe to spend today.`,
+                tab: 'expenses'
+            });
+        }
+    }
+    
+    if (prefs.dailyNudge && toDateTimeLocal(now).slice(11) >= prefs.nudgeTime) {
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const loggedToday = await db.expenses.where('date').aboveOrEqual(dayStart.toISOString()).count();
+        if (loggedToday === 0) {
+            due.push({
+                key: `nudge:${getDayKey(now)}`,
+                title: 'Log your spending 📝',
+                body: 'Nothing logged today yet. Anything to add?',
+                tab: 'expenses'
+            });
         }
+    }
+    
+    if (prefs.monthEnd) {
+        const month = shiftMonth(getMonthKey(now), -1);
+        const spent = await getMonthlySpending(month);
+        if (spent > 0) {
+            const close = await getClose(month);
+            const budget = close ? close.effectiveBudget : state.budget;
+            const diff = budget - spent;
+            const result = close ? ` ${describeCloseOutcome(close)}.`
+                : budget <= 0 ? ''
+                : diff >= 0 ? ` ${formatMoney(Math.floor(diff))} under budget.` : ` ${formatMoney(Math.ceil(-diff))} over budget.`;
+            due.push({
+                key: `monthEnd:${month}`,
+                title: `${formatMonthLabel(month)} wrapped up 📊`,
+                body: `You spent ${formatMoney(Math.floor(spent))}.${result}`,
+                tab: 'analytics'
+            });
+        }
+    }
+    
+    return due;
+}
+
+async function markNotified(keys) {
+    const log = (await db.settings.get('notificationLog'))?.value || {};
+    const cutoff = new Date(Date.now() - NOTIFY_LOG_DAYS * DAY_MS).toISOString();
+    const now = new Date().toISOString();
+    
+    Object.keys(log).forEach(key => {
+        if (log[key] < cutoff) delete log[key];
+    });
+    keys.forEach(key => { log[key] = now; });
+    
+    await db.settings.put({ key: 'notificationLog', value: log });
+}
+
+async function checkNotifications() {
+    if (!notificationsAllowed()) return;
+    
+    const log = (await db.settings.get('notificationLog'))?.value || {};
+    const due = (await getDueNotifications()).filter(n => !log[n.key]);
+    if (due.length === 0) return;
+    
+    for (const notification of due) {
+        await showNotification(notification);
+    }
+    await markNotified(due.map(n => n.key));
+}
+
+async function showNotification({ key, title, body, tab }) {
+    const options = { body, tag: key, icon: 'assets/icon-192.png', data: { tab } };
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        new Notification(title, options);
+    }
+}
+
+// Cycle rollover rides the same tick, so a cycle ending while the app is open gets closed
+function startNotificationChecks() {
+    const check = async () => {
+        await checkCycleRollover();
+        await checkNotifications();
+    };
+    check();
+    setInterval(check, NOTIFY_CHECK_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') check();
     });
-    
-    $('#cpuUses').addEventListener('input', updateCpuResult);
 }
 
-// ===== Modal Functions =====
-function openModal(id) {
-    $(`#${id}`).classList.add('active');
+// ===== Profiles =====
+// Separate books (personal, household, a side-business card…) each with their
+// own budget, categories, parking lot and impulse-tax vault.
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        if (saved?.profiles?.length) return saved;
+    } catch {
+        // Fall through to the default registry
+    }
+    return { active: defaultProfile.id, profiles: [defaultProfile] };
 }
 
-function closeModal(id) {
-    $(`#${id}`).classList.remove('active');
+function saveProfiles(registry) {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(registry));
 }
 
-function resetForm() {
-    $('#expenseForm').reset();
-    $('#wantToggle').checked = false;
-    handleToggleChange();
-    $('#lunchToast').classList.add('hidden');
+function getActiveProfile() {
+    const registry = loadProfiles();
+    return registry.profiles.find(p => p.id === registry.active) || registry.profiles[0];
 }
 
-// ===== Toggle Handler =====
-function handleToggleChange() {
-    const isWant = $('#wantToggle').checked;
-    const label = $('#toggleLabel');
-    const saveBtn = $('#saveBtn');
-    const parkBtn = $('#parkBtn');
+// Per-profile localStorage entries; the default profile keeps its original keys
+function profileStorageKey(base, profile = getActiveProfile()) {
+    return profile.id === defaultProfile.id ? base : `${base}:${profile.id}`;
+}
+
+function renderProfileSwitcher() {
+    const registry = loadProfiles();
+    $('#profileSelect').innerHTML = registry.profiles
+        .map(p => `<option value="${p.id}">${escapeHtml(p.icon)} ${escapeHtml(p.name)}</option>`)
+        .join('') + '<option value="manage">⚙️ Manage profiles…</option>';
+    $('#profileSelect').value = getActiveProfile().id;
+}
+
+async function switchProfile(id) {
+    const registry = loadProfiles();
+    const profile = registry.profiles.find(p => p.id === id);
+    if (!profile || profile.id === getActiveProfile().id) return;
+    if (state.syncing) {
+        showToast('Finishing a sync. Try again in a moment.');
+        renderProfileSwitcher();
+        return;
+    }
     
-    label.textContent = isWant ? 'Want' : 'Need';
-    label.className = `toggle-label ${isWant ? 'want' : 'need'}`;
+    saveProfiles({ ...registry, active: profile.id });
+    db.close();
+    db = openDatabase(profile.dbName);
     
-    parkBtn.classList.toggle('hidden', !isWant);
-    saveBtn.classList.toggle('want-mode', isWant);
+    state.editingId = null;
+    loadSyncConfig();
+    await loadSettings();
+    state.viewMonth = getCurrentMonth();
+    await postDueRecurring();
+    await closeFinishedMonths();
+    await expireParkedItems();
+    await updateDashboard();
+    await renderExpenses();
+    await renderParking();
+    await updateCharts();
+    updateMascot();
+    renderProfileSwitcher();
+    renderProfileManager();
     
-    updateMascot(isWant ? 'suspicious' : null);
+    showToast(`Switched to ${profile.icon} ${profile.name}`);
+    syncNow({ quiet: true });
 }
 
-// ===== Amount Change Handler (Lunch Translator) =====
-function handleAmountChange() {
-    const amount = parseFloat($('#amount').value) || 0;
-    const toast = $('#lunchToast');
+function addProfile(data) {
+    const name = data.name.trim();
+    if (!name) return;
     
-    if (amount > 1000) {
-        const days = Math.floor(amount / 90);
-        toast.innerHTML = `That's equivalent to <strong>${days} days</strong> of essential meals.`;
-        toast.classList.remove('hidden');
-    } else {
-        toast.classList.add('hidden');
+    const registry = loadProfiles();
+    if (registry.profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`There's already a profile called ${name}.`);
+        return;
     }
+    
+    const id = generateUid();
+    registry.profiles.push({ id, name, icon: data.icon || '📒', dbName: `ZenSpendDB-${id}` });
+    saveProfiles(registry);
+    renderProfileSwitcher();
+    renderProfileManager();
+    showToast(`${name} created. Switch to it from the header.`);
 }
 
-// ===== Hold Button Logic =====
-function startHold(e) {
-    if (!$('#wantToggle').checked) return;
-    e.preventDefault();
+function updateProfile(id, changes) {
+    const registry = loadProfiles();
+    const profile = registry.profiles.find(p => p.id === id);
+    const name = changes.name.trim();
+    if (!profile || !name) return;
     
-    if (!$('#expenseForm').checkValidity()) {
-        $('#expenseForm').reportValidity();
+    if (registry.profiles.some(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`There's already a profile called ${name}.`);
         return;
     }
     
-    state.isHolding = true;
-    state.holdProgress = 0;
-    
-    const saveBtn = $('#saveBtn');
-    const ring = $('.ring-progress');
+    Object.assign(profile, { name, icon: changes.icon || profile.icon });
+    saveProfiles(registry);
+    renderProfileSwitcher();
+    renderProfileManager();
+    showToast('Profile saved!');
+}
+
+async function deleteProfile(id) {
+    const registry = loadProfiles();
+    const profile = registry.profiles.find(p => p.id === id);
+    if (!profile || profile.id === getActiveProfile().id) return;
+    if (!confirm(`Delete ${profile.name} and everything recorded in it? This cannot be undone.`)) return;
     
-    saveBtn.classList.add('holding');
-    $('.progress-ring').classList.remove('hidden');
+    await Dexie.delete(profile.dbName);
+    localStorage.removeItem(profileStorageKey(SYNC_STORAGE_KEY, profile));
+    saveProfiles({ ...registry, profiles: registry.profiles.filter(p => p.id !== id) });
+    renderProfileSwitcher();
+    renderProfileManager();
+    showToast(`${profile.name} deleted.`);
+}
+
+function renderProfileManager() {
+    const active = getActiveProfile();
+    $('#profileManagerList').innerHTML = loadProfiles().profiles.map(p => `
+        <div class="profile-row" data-id="${p.id}">
+            <input type="text" class="category-icon-input" data-field="icon" value="${escapeHtml(p.icon)}" maxlength="4" aria-label="Emoji">
+            <input type="text" data-field="name" value="${escapeHtml(p.name)}" aria-label="Name">
+            <button class="btn btn-secondary" data-action="save">Save</button>
+            ${p.id === active.id
+                ? '<span class="profile-active">Open</span>'
+                : '<button class="btn btn-danger" data-action="delete">Delete</button>'}
+        </div>
+    `).join('');
+}
+
+function handleProfileManagerAction(e) {
+    const row = e.target.closest('.profile-row');
+    const action = e.target.dataset.action;
+    if (!row || !action) return;
     
-    const duration = 10000; // 10 seconds
-    const interval = 100;
-    const increment = (100.53 / (duration / interval));
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
     
-    state.holdTimeout = setInterval(() => {
-        state.holdProgress += increment;
-        const offset = 100.53 - state.holdProgress;
-        ring.style.strokeDashoffset = Math.max(0, offset);
-        
-        if (state.holdProgress >= 100.53) {
-            clearInterval(state.holdTimeout);
-            completeHold();
-        }
-    }, interval);
+    if (action === 'save') {
+        updateProfile(row.dataset.id, { icon: field('icon').value.trim(), name: field('name').value });
+    } else if (action === 'delete') {
+        deleteProfile(row.dataset.id);
+    }
 }
 
-function endHold() {
-    if (!state.isHolding) return;
-    cancelHold();
-}
+// ===== Household Sync =====
+// Devices in a household replicate their records through a small HTTP relay
+// (protocol in sync-server/README.md). Every change is encrypted with the
+// household passphrase before it leaves the device, so the relay only sees
+// opaque ids and ciphertext. Conflicts resolve per record: newer `updatedAt` wins.
+const SYNC_STORAGE_KEY = 'zenspend-sync';
+const SYNC_INTERVAL = 5 * 60 * 1000;
+const SYNC_TIMEOUT = 15000;
 
-function cancelHold() {
-    if (state.holdTimeout) {
-        clearInterval(state.holdTimeout);
+// Settings that belong to this device alone
+const localSettingKeys = ['notifications', 'notificationLog', 'integrityReport'];
+
+// Kept out of Dexie so backups never carry the passphrase; each profile syncs on its own
+function loadSyncConfig() {
+    try {
+        state.sync = JSON.parse(localStorage.getItem(profileStorageKey(SYNC_STORAGE_KEY))) || null;
+    } catch {
+        state.sync = null;
     }
-    state.isHolding = false;
-    state.holdProgress = 0;
-    
-    const saveBtn = $('#saveBtn');
-    saveBtn.classList.remove('holding');
-    $('.progress-ring').classList.add('hidden');
-    $('.ring-progress').style.strokeDashoffset = 100.53;
 }
 
-function completeHold() {
-    state.isHolding = false;
-    cancelHold();
-    processExpense(true);
+function saveSyncConfig(config) {
+    state.sync = config;
+    if (config) localStorage.setItem(profileStorageKey(SYNC_STORAGE_KEY), JSON.stringify(config));
+    else localStorage.removeItem(profileStorageKey(SYNC_STORAGE_KEY));
 }
 
-// ===== Form Submit Handler =====
-function handleFormSubmit(e) {
-    e.preventDefault();
-    
-    const isWant = $('#wantToggle').checked;
-    
-    if (isWant) {
-        // Requires hold - do nothing on regular submit
-        return;
+function isSyncConfigured() {
+    const config = state.sync;
+    return Boolean(config?.server && config.household && config.passphrase);
+}
+
+// Empties a table and tells the household, except for the uids (or setting
+// keys) in `keep` that are about to be written back. The deleting hook stays
+// quiet meanwhile, since it would tombstone those too.
+async function wipeTable(table, keep = new Set()) {
+    if (isSyncConfigured()) {
+        const keys = table === 'settings'
+            ? (await db.settings.toCollection().primaryKeys()).filter(key => !localSettingKeys.includes(key))
+            : (await db.table(table).toArray()).map(record => record.uid).filter(Boolean);
+        const deletedAt = new Date().toISOString();
+        await db.tombstones.bulkPut(keys
+            .filter(key => !keep.has(key))
+            .map(uid => ({ key: `${table}:${uid}`, table, uid, deletedAt })));
     }
     
-    processExpense(false);
+    state.wipingTable = true;
+    try {
+        await db.table(table).clear();
+    } finally {
+        state.wipingTable = false;
+    }
 }
 
-// ===== Process Expense =====
-function processExpense(isWant) {
-    const amount = parseFloat($('#amount').value);
-    const category = $('#category').value;
-    const description = $('#description').value;
-    
-    const expenseData = { amount, category, description, isWant };
-    
-    // Check for Cost-Per-Use trigger
-    if ((category === 'Shopping' || category === 'Entertainment') && amount > 2000) {
-        state.pendingExpense = expenseData;
-        showCpuModal(amount);
-        return;
+function syncChangeId(table, key) {
+    return CryptoJS.HmacSHA256(`${table}:${key}`, state.sync.passphrase).toString();
+}
+
+function encryptChange(change) {
+    return CryptoJS.AES.encrypt(JSON.stringify(change), state.sync.passphrase).toString();
+}
+
+// Null for a blob this passphrase can't open, so one bad change can't block the rest
+function decryptChange(blob) {
+    try {
+        const change = JSON.parse(CryptoJS.AES.decrypt(blob, state.sync.passphrase).toString(CryptoJS.enc.Utf8));
+        return change && typeof change.table === 'string' && change.key !== undefined ? change : null;
+    } catch {
+        return null;
     }
-    
-    addExpense(expenseData);
-    closeModal('expenseModal');
-    resetForm();
 }
 
-// ===== Cost Per Use Modal =====
-function showCpuModal(amount) {
-    $('#cpuAmount').textContent = amount.toLocaleString();
-    $('#cpuUses').value = 1;
-    updateCpuResult();
-    openModal('cpuModal');
+// Proves to the relay that we hold the passphrase without sending it
+function syncToken() {
+    return CryptoJS.HmacSHA256(`relay:${state.sync.household}`, state.sync.passphrase).toString();
 }
 
-function updateCpuResult() {
-    const amount = state.pendingExpense?.amount || 0;
-    const uses = parseInt($('#cpuUses').value) || 1;
-    const costPerUse = Math.round(amount / uses);
-    const coffees = Math.round(costPerUse / 180); // Assuming ₹180 per coffee
+async function syncRequest(path, options = {}) {
+    const { server, household } = state.sync;
+    const url = `${server.replace(/\/+$/, '')}/v1/households/${encodeURIComponent(household)}${path}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SYNC_TIMEOUT);
     
-    $('#cpuResult').innerHTML = `
-        <strong>₹${costPerUse.toLocaleString()}</strong> per use<br>
-        <small>That's ~${coffees} expensive coffees each time!</small>
-    `;
+    try {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'X-Household-Token': syncToken() },
+            signal: controller.signal
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Sync server replied ${response.status}`);
+        return body;
+    } catch (err) {
+        if (err.name === 'AbortError') throw new Error('Sync server did not respond.');
+        if (err instanceof TypeError) throw new Error('Could not reach the sync server.');
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
 }
 
-// ===== Park Handler =====
-function handlePark() {
-    if (!$('#expenseForm').checkValidity()) {
-        $('#expenseForm').reportValidity();
-        return;
+// Expenses point at their recurring rule by local id; devices share the rule's uid instead
+async function toSyncRecord(table, record) {
+    const { id, ...rest } = record;
+    if (table === 'expenses' && rest.recurringId !== undefined) {
+        const rule = rest.recurringId === null ? null : await db.recurring.get(rest.recurringId);
+        rest.recurringUid = rule?.uid ?? null;
+        delete rest.recurringId;
     }
-    
-    const data = {
-        amount: $('#amount').value,
-        category: $('#category').value,
-        description: $('#description').value
-    };
-    
-    parkItem(data);
-    closeModal('expenseModal');
-    resetForm();
+    return rest;
 }
 
-// ===== Sound Effects =====
-function playSound(type) {
-    const sound = type === 'chime' ? $('#chimeSound') : $('#crunchSound');
-    sound.currentTime = 0;
-    sound.play().catch(() => {}); // Ignore autoplay restrictions
+async function fromSyncRecord(table, record) {
+    const { recurringUid, ...rest } = record;
+    if (table === 'expenses' && recurringUid !== undefined) {
+        const rule = recurringUid === null ? null : await db.recurring.where('uid').equals(recurringUid).first();
+        rest.recurringId = rule?.id ?? null;
+    }
+    return rest;
 }
 
-// ===== Toast Notifications =====
-function showToast(message) {
-    const container = $('#toastContainer');
-    const toast = document.createElement('div');
-    toast.className = 'toast';
-    toast.textContent = message;
-    container.appendChild(toast);
+async function collectLocalChanges(since) {
+    const changes = [];
+    const changedSince = r => !since || (r.updatedAt || '') > since;
     
-    setTimeout(() => toast.remove(), 3000);
+    for (const table of recordTables) {
+        const records = await db.table(table).filter(changedSince).toArray();
+        for (const record of records) {
+            changes.push({ table, key: record.uid, updatedAt: record.updatedAt, record: await toSyncRecord(table, record) });
+        }
+    }
+    
+    const settings = await db.settings
+        .filter(s => !localSettingKeys.includes(s.key) && changedSince(s))
+        .toArray();
+    settings.forEach(setting => {
+        changes.push({ table: 'settings', key: setting.key, updatedAt: setting.updatedAt || '', record: setting });
+    });
+    
+    const tombstones = await db.tombstones.where('deletedAt').above(since).toArray();
+    tombstones.forEach(t => {
+        changes.push({ table: t.table, key: t.uid, updatedAt: t.deletedAt, record: null });
+    });
+    
+    return changes;
 }
 
-// ===== Data Export/Import =====
-async function exportData() {
-    const expenses = await db.expenses.toArray();
-    const parking = await db.parking.toArray();
-    const settings = await db.settings.toArray();
+// Returns true when the remote change replaced what this device had
+async function applyRemoteChange({ table, key, updatedAt, record }) {
+    if (table === 'settings') {
+        if (localSettingKeys.includes(key)) return false;
+        const local = await db.settings.get(key);
+        if (local && (local.updatedAt || '') >= updatedAt) return false;
+        const tombstone = await db.tombstones.get(`settings:${key}`);
+        if (tombstone && tombstone.deletedAt >= updatedAt) return false;
+        if (record) await db.settings.put(record);
+        else if (local) await db.settings.delete(key);
+        return true;
+    }
+    if (!recordTables.includes(table)) return false;
     
-    let data = JSON.stringify({ expenses, parking, settings, exportDate: new Date().toISOString() });
+    const store = db.table(table);
+    const local = await store.where('uid').equals(key).first();
+    // Category names are unique, so a namesake from another device is the same category
+    let namesake = null;
+    if (record && table === 'categories') {
+        namesake = await store.where('name').equals(record.name).first();
+        if (namesake?.uid === key) namesake = null;
+    }
     
-    // Encryption
-    if ($('#encryptBackup').checked) {
-        const password = $('#encryptPassword').value;
-        if (!password) {
-            showToast('Please enter a password');
-            return;
-        }
-        data = CryptoJS.AES.encrypt(data, password).toString();
+    // One added separately on each device: adopt the household's copy outright
+    if (local || !namesake) {
+        if (local && (local.updatedAt || '') >= updatedAt) return false;
+        const tombstone = await db.tombstones.get(`${table}:${key}`);
+        if (tombstone && tombstone.deletedAt >= updatedAt) return false;
     }
     
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `zenspend_backup_${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    if (!record) {
+        if (local) await store.delete(local.id);
+        return Boolean(local);
+    }
     
-    updateMascot('proud');
-    showToast('Backup created! 💾');
+    const incoming = await fromSyncRecord(table, record);
+    if (local && namesake) await store.delete(namesake.id);
+    const target = local || namesake;
+    if (target) await store.put({ ...incoming, id: target.id });
+    else await store.add(incoming);
+    return true;
 }
 
-async function importData(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+async function applyRemoteChanges(changes) {
+    const applied = new Set();
+    const tables = [...recordTables, 'settings', 'tombstones'].map(t => db.table(t));
     
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-        try {
-            let data = event.target.result;
-            
-            // Try to decrypt if it looks encrypted
-            if (!data.startsWith('{')) {
-                const password = prompt('Enter decryption password:');
-                if (!password) return;
-                
-                const bytes = CryptoJS.AES.decrypt(data, password);
-                data = bytes.toString(CryptoJS.enc.Utf8);
-                
-                if (!data) {
-                    showToast('Decryption failed. Wrong password?');
-                    return;
-                }
-            }
-            
-            const parsed = JSON.parse(data);
-            
-            if (confirm('This will replace all existing data. Continue?')) {
-                await db.expenses.clear();
-                await db.parking.clear();
-                await db.settings.clear();
-                
-                if (parsed.expenses) await db.expenses.bulkAdd(parsed.expenses);
-                if (parsed.parking) await db.parking.bulkAdd(parsed.parking);
-                if (parsed.settings) await db.settings.bulkPut(parsed.settings);
-                
-                await loadSettings();
-                await updateDashboard();
-                await renderExpenses();
-                await renderParking();
-                await updateCharts();
-                
-                showToast('Data imported successfully! 📥');
+    state.applyingRemote = true;
+    try {
+        await db.transaction('rw', tables, async () => {
+            for (const change of changes) {
+                if (await applyRemoteChange(change)) applied.add(`${change.table}:${change.key}`);
             }
-        } catch (err) {
-            showToast('Import failed. Invalid file format.');
-            console.error(err);
-        }
-    };
-    reader.readAsText(file);
-    e.target.value = ''; // Reset input
+        });
+    } finally {
+        state.applyingRemote = false;
+    }
+    return applied;
 }
 
-async function clearData() {
-    if (!confirm('Are you sure? This will delete ALL your data permanently!')) return;
-    if (!confirm('Really? This cannot be undone!')) return;
-    
-    await db.expenses.clear();
-    await db.parking.clear();
-    await db.settings.clear();
+// Pull first so local edits are judged against the household's latest,
+// then push everything changed here since the last successful push
+async function syncNow({ quiet = false } = {}) {
+    if (!isSyncConfigured() || state.syncing) return;
+    const config = state.sync;
+    const startedAt = new Date().toISOString();
     
-    state.budget = 0;
-    state.impulseTax = 0;
+    state.syncing = true;
+    renderSyncStatus('Syncing…');
     
+    try {
+        const pulled = await syncRequest(`/changes?since=${config.cursor || 0}`);
+        const incoming = pulled.changes.map(change => decryptChange(change.blob)).filter(Boolean);
+        const unreadable = pulled.changes.length - incoming.length;
+        const applied = await applyRemoteChanges(incoming);
+        
+        const outgoing = (await collectLocalChanges(config.lastPushedAt || ''))
+            .filter(change => !applied.has(`${change.table}:${change.key}`));
+        if (outgoing.length > 0) {
+            await syncRequest('/changes', {
+                method: 'POST',
+                body: JSON.stringify({
+                    changes: outgoing.map(change => ({
+                        id: syncChangeId(change.table, change.key),
+                        blob: encryptChange(change)
+                    }))
+                })
+            });
+        }
+        await db.tombstones.where('deletedAt').belowOrEqual(startedAt).delete();
+        
+        saveSyncConfig({ ...config, cursor: pulled.cursor, lastPushedAt: startedAt, lastSyncedAt: new Date().toISOString() });
+        if (applied.size > 0) await refreshAfterSync();
+        renderSyncStatus(unreadable > 0
+            ? `Synced, but skipped ${unreadable} change${unreadable > 1 ? 's' : ''} that couldn't be decrypted.`
+            : null);
+        if (!quiet) {
+            showToast(`Synced • ${applied.size} in, ${outgoing.length} out${unreadable > 0 ? `, ${unreadable} unreadable` : ''} 🔄`);
+        }
+    } catch (err) {
+        renderSyncStatus(`Sync failed: ${err.message}`);
+        if (!quiet) showToast(err.message);
+    } finally {
+        state.syncing = false;
+    }
+}
+
+async function refreshAfterSync() {
+    await loadSettings();
     await updateDashboard();
     await renderExpenses();
     await renderParking();
     await updateCharts();
-    
-    showToast('All data cleared.');
+    updateMascot();
 }
 
-// ===== Service Worker Registration =====
-function registerServiceWorker() {
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('sw.js')
-            .then(() => console.log('SW registered'))
-            .catch(err => console.log('SW registration failed:', err));
+function renderSyncStatus(message = null) {
+    const config = state.sync;
+    let text = 'Not connected. Everything stays on this device.';
+    if (message) {
+        text = message;
+    } else if (isSyncConfigured()) {
+        text = config.lastSyncedAt
+            ? `Last synced ${new Date(config.lastSyncedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}`
+            : 'Connected, not synced yet.';
+    }
+    $('#syncStatus').textContent = text;
+    $('#syncNow').disabled = !isSyncConfigured();
+    $('#syncDisconnect').disabled = !isSyncConfigured();
+}
+
+function renderSyncSettings() {
+    const config = state.sync || {};
+    $('#syncMember').value = config.member || '';
+    $('#syncServer').value = config.server || '';
+    $('#syncHousehold').value = config.household || '';
+    $('#syncPassphrase').value = config.passphrase || '';
+    renderSyncStatus();
+}
+
+async function saveSyncSettings(data) {
+    const config = {
+        member: data.member.trim(),
+        server: data.server.trim(),
+        household: data.household.trim(),
+        passphrase: data.passphrase
+    };
+    
+    if (!config.member || !config.server || !config.household || !config.passphrase) {
+        showToast('Fill in your name, server, household code and passphrase.');
+        return;
+    }
+    if (!/^[\w-]{8,64}$/.test(config.household)) {
+        showToast('Household codes are 8-64 letters, digits, - or _.');
+        return;
     }
+    
+    // A different household or passphrase means starting from its beginning
+    const previous = state.sync || {};
+    const sameHousehold = previous.server === config.server
+        && previous.household === config.household
+        && previous.passphrase === config.passphrase;
+    saveSyncConfig(sameHousehold ? { ...previous, ...config } : config);
+    
+    await syncNow();
+}
+
+function disconnectSync() {
+    if (!confirm('Stop syncing this device? Your data stays here; the household keeps its copy.')) return;
+    saveSyncConfig(null);
+    renderSyncSettings();
+    showToast('Sync turned off.');
+}
+
+function startAutoSync() {
+    if (isSyncConfigured()) syncNow({ quiet: true });
+    setInterval(() => syncNow({ quiet: true }), SYNC_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') syncNow({ quiet: true });
+    });
 }
 
 // ===== Start App =====
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'zenspend-v1';
+const CACHE_NAME = 'zenspend-v3';
 const ASSETS = [
     '/',
     '/index.html',
@@ -42,6 +42,9 @@ self.addEventListener('activate', (e) => {
 
 // Fetch - Cache first, then network
 self.addEventListener('fetch', (e) => {
+    // Household sync always talks to the server
+    if (e.request.method !== 'GET' || new URL(e.request.url).pathname.includes('/v1/')) return;
+    
     e.respondWith(
         caches.match(e.request)
             .then(cached => {
@@ -69,4 +72,22 @@ self.addEventListener('fetch', (e) => {
                     });
             })
     );
-});
\ No newline at end of file
+});
+
+// Notification click - bring the app forward on the tab the reminder is about
+self.addEventListener('notificationclick', (e) => {
+    e.notification.close();
+    const tab = e.notification.data?.tab;
+    
+    e.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => {
+                const client = clients[0];
+                if (client) {
+                    client.postMessage({ type: 'open-tab', tab });
+                    return client.focus();
+                }
+                return self.clients.openWindow(tab ? `./#${tab}` : './');
+            })
+    );
+});
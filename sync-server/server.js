@@ -0,0 +1,144 @@
+// ZenSpend household sync relay. No dependencies: `node server.js`.
+// Stores only what clients send it, which is already encrypted. See README.md.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const MAX_BODY = 5 * 1024 * 1024;
+const HOUSEHOLD_PATTERN = /^[\w-]{8,64}$/;
+
+// { [household]: { seq, tokenHash, changes: { [changeId]: { seq, blob } } } }
+let households = {};
+if (fs.existsSync(DATA_FILE)) {
+    households = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+function persist() {
+    const tmp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(households));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Household-Token'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(Object.assign(new Error('Request too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The first token a household sees claims it; after that only the same
+// passphrase (and so the same token) can read or write its changes
+function authorize(household, token, { create }) {
+    if (typeof token !== 'string' || !token) {
+        throw Object.assign(new Error('Missing household token'), { status: 401 });
+    }
+    
+    let entry = households[household];
+    if (!entry) {
+        if (!create) return;
+        entry = households[household] = { seq: 0, changes: {} };
+    }
+    
+    const hash = hashToken(token);
+    if (!entry.tokenHash) {
+        entry.tokenHash = hash;
+        persist();
+        return;
+    }
+    if (!crypto.timingSafeEqual(Buffer.from(entry.tokenHash), Buffer.from(hash))) {
+        throw Object.assign(new Error('Wrong passphrase for this household'), { status: 403 });
+    }
+}
+
+function getChanges(household, since) {
+    const entry = households[household] || { seq: 0, changes: {} };
+    const changes = Object.entries(entry.changes)
+        .filter(([, change]) => change.seq > since)
+        .map(([id, change]) => ({ seq: change.seq, id, blob: change.blob }))
+        .sort((a, b) => a.seq - b.seq);
+    return { changes, cursor: entry.seq };
+}
+
+function putChanges(household, changes) {
+    const valid = Array.isArray(changes) && changes.every(c =>
+        c && typeof c.id === 'string' && c.id && typeof c.blob === 'string' && c.blob);
+    if (!valid) {
+        throw Object.assign(new Error('Expected { changes: [{ id, blob }] }'), { status: 400 });
+    }
+    
+    const entry = households[household] || (households[household] = { seq: 0, changes: {} });
+    // Only the newest blob per id is kept; it gets a fresh seq so every device sees it
+    changes.forEach(change => {
+        entry.seq++;
+        entry.changes[change.id] = { seq: entry.seq, blob: change.blob };
+    });
+    persist();
+    return { accepted: changes.length, cursor: entry.seq };
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (url.pathname === '/v1/health') return send(res, 200, { ok: true });
+    
+    const match = url.pathname.match(/^\/v1\/households\/([^/]+)\/changes$/);
+    if (!match) return send(res, 404, { error: 'Not found' });
+    
+    const household = decodeURIComponent(match[1]);
+    if (!HOUSEHOLD_PATTERN.test(household)) {
+        return send(res, 400, { error: 'Household codes are 8-64 letters, digits, - or _' });
+    }
+    
+    const token = req.headers['x-household-token'];
+    if (req.method === 'GET') {
+        authorize(household, token, { create: false });
+        const since = Number(url.searchParams.get('since')) || 0;
+        return send(res, 200, getChanges(household, since));
+    }
+    if (req.method === 'POST') {
+        authorize(household, token, { create: true });
+        const body = await readBody(req);
+        return send(res, 200, putChanges(household, body.changes));
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(err => send(res, err.status || 500, { error: err.message }));
+}).listen(PORT, () => {
+    console.log(`ZenSpend sync relay listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,46 @@
+// Closes are filed under cycle keys, and a cycle change can give a key a new
+// period. A close from the old cycle must not stand in for the new one.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, Dexie } = require('./load-app');
+
+test('a cycle change after a close leaves the new period open', async () => {
+    const app = loadApp();
+    await app('db.open()');
+    app('state.budget = 10000');
+    app("state.closePolicy = { leftover: 'savings', overrun: 'none' }");
+    app("state.budgetCycle = { type: 'monthly', startDay: 1, anchor: null }");
+
+    // Close the calendar month that becomes the last finished payday cycle
+    app("state.budgetCycle = { type: 'monthly', startDay: 25, anchor: null }");
+    const finished = app('shiftMonth(getCurrentMonth(), -1)');
+    app("state.budgetCycle = { type: 'monthly', startDay: 1, anchor: null }");
+    await app(`db.expenses.add({ uid: 'e1', amount: 4000, category: 'Food', description: 'dinner', isWant: true,
+        date: getCycleBounds('${finished}').start.toISOString(), month: '${finished}', updatedAt: new Date().toISOString() })`);
+    const old = await app(`closeMonth('${finished}')`);
+    assert.strictEqual(old.uid, `close:${finished}`);
+    assert.strictEqual(old.saved, 6000);
+
+    app("state.budgetCycle = { type: 'monthly', startDay: 25, anchor: null }");
+    await app('rebucketRecords()');
+
+    assert.strictEqual(await app(`getClose('${finished}')`), null);
+    assert.strictEqual((await app(`getBudgetFor(shiftMonth('${finished}', 1))`)).carried, 0);
+
+    const closed = await app('closeFinishedMonths()');
+    assert.strictEqual(closed.length, 1);
+    assert.strictEqual(closed[0].month, finished);
+    const start = app(`getDayKey(getCycleBounds('${finished}').start)`);
+    assert.strictEqual(closed[0].uid, `close:${finished}:${start}`);
+    assert.strictEqual((await app(`getClose('${finished}')`)).uid, closed[0].uid);
+    assert.strictEqual(await app('closeFinishedMonths().then(c => c.length)'), 0);
+
+    // The old close and its savings stay in the history untouched
+    const kept = await app(`db.closes.where('uid').equals('close:${finished}').first()`);
+    assert.strictEqual(kept.saved, 6000);
+    const savings = await app(`db.taxLedger.where('uid').equals('close:${finished}:savings').first()`);
+    assert.strictEqual(savings.amount, 6000);
+
+    app('db.close()');
+    await Dexie.delete('ZenSpendDB');
+});
@@ -0,0 +1,31 @@
+// Runs app.js in a fresh context against the in-memory IndexedDB and returns
+// an evaluator for code inside it
+require('fake-indexeddb/auto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Dexie = require('dexie');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+
+function loadApp() {
+    const storage = new Map();
+    const context = vm.createContext({
+        Dexie,
+        indexedDB,
+        IDBKeyRange,
+        crypto,
+        console,
+        Intl,
+        localStorage: {
+            getItem: key => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document: { addEventListener() {} }
+    });
+    vm.runInContext(source, context, { filename: 'app.js' });
+    return (code) => vm.runInContext(code, context);
+}
+
+module.exports = { loadApp, Dexie };
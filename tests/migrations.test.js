@@ -0,0 +1,78 @@
+// Runs app.js against an in-memory IndexedDB to check the schema upgrade
+// chain and the startup integrity repairs.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, Dexie } = require('./load-app');
+
+async function createVersion1Database() {
+    const legacy = new Dexie('ZenSpendDB');
+    legacy.version(1).stores({
+        expenses: '++id, amount, category, description, isWant, date, month',
+        parking: '++id, amount, category, description, parkDate, expiryDate',
+        settings: 'key, value'
+    });
+    await legacy.expenses.bulkAdd([
+        { amount: 250, category: 'Food', description: 'pizza', isWant: true, date: '2024-03-05T12:00:00.000Z', month: '2024-03' },
+        { amount: 900, category: 'Groceries', description: 'weekly shop', isWant: false, date: '2024-03-06T12:00:00.000Z', month: '2024-03' },
+        { amount: 420, category: 'Shopping', description: 'statement row', isWant: true, source: 'csv', date: '2024-03-07T12:00:00.000Z', month: '2024-03' }
+    ]);
+    await legacy.parking.add({ amount: 3000, category: 'Shopping', description: 'jacket', parkDate: '2024-03-01T12:00:00.000Z', expiryDate: '2024-03-31T12:00:00.000Z' });
+    await legacy.settings.bulkAdd([{ key: 'budget', value: 20000 }, { key: 'impulseTax', value: 80 }]);
+    legacy.close();
+}
+
+test('upgrades a version 1 database through the migration chain', async () => {
+    await createVersion1Database();
+    const app = loadApp();
+    await app('db.open()');
+
+    assert.strictEqual(app('db.verno'), app('migrations[migrations.length - 1].version'));
+
+    const expenses = await app('db.expenses.toArray()');
+    const parking = await app('db.parking.toArray()');
+    for (const record of [...expenses, ...parking]) {
+        assert.ok(record.uid, 'every record gets a stable uid');
+        assert.ok(record.updatedAt, 'every record gets a change stamp');
+    }
+    assert.strictEqual(new Set(expenses.map(e => e.uid)).size, expenses.length);
+
+    // Only the pizza was taxed (round up to 300); the CSV row never was
+    const ledger = await app('db.taxLedger.toArray()');
+    const pizza = expenses.find(e => e.description === 'pizza');
+    const accruals = ledger.filter(entry => entry.type === 'accrual');
+    assert.strictEqual(accruals.length, 1);
+    assert.strictEqual(accruals[0].expenseUid, pizza.uid);
+    assert.strictEqual(accruals[0].amount, 50);
+    assert.strictEqual(ledger.find(entry => entry.type === 'opening').amount, 30);
+    assert.strictEqual(await app("db.settings.get('impulseTax')"), undefined);
+
+    app('db.close()');
+    await Dexie.delete('ZenSpendDB');
+});
+
+test('integrity check repairs bad amounts, dates and month keys', async () => {
+    const app = loadApp();
+    await app('db.open()');
+    app('state.budgetCycle = { ...defaultBudgetCycle }');
+    await app('db.categories.bulkAdd(defaultCategories.map((c, order) => ({ ...c, archived: false, order })))');
+    await app(`db.expenses.bulkAdd([
+        { amount: NaN, category: 'Food', description: 'nan', isWant: false, date: '2024-05-02T12:00:00.000Z', month: '2024-05' },
+        { amount: 100, category: 'Food', description: 'bad date', isWant: false, date: 'not a date', month: '2024-05', updatedAt: '2024-05-10T12:00:00.000Z' },
+        { amount: 100, category: 'Food', description: 'wrong month', isWant: false, date: '2024-05-15T12:00:00.000Z', month: '2023-01' }
+    ])`);
+
+    const report = await app('checkIntegrity()');
+    assert.strictEqual(report.fixes.length, 3);
+
+    const byDescription = Object.fromEntries((await app('db.expenses.toArray()')).map(e => [e.description, e]));
+    assert.strictEqual(byDescription.nan.amount, 0);
+    assert.strictEqual(byDescription['bad date'].date, '2024-05-10T12:00:00.000Z');
+    assert.strictEqual(byDescription['bad date'].month, '2024-05');
+    assert.strictEqual(byDescription['wrong month'].month, '2024-05');
+
+    const again = await app('checkIntegrity()');
+    assert.strictEqual(again.fixes.length, 0);
+
+    app('db.close()');
+    await Dexie.delete('ZenSpendDB');
+});